@@ -1,91 +1,497 @@
-/* global Hooks, ui, canvas, game, foundry */
+/* global Hooks, ui, canvas, game, foundry, Dialog, ChatMessage, CONST, fromUuidSync, KeyboardManager */
 
 /**
  * forward-ongoing-tools.mjs
  * ---------------------------------------------------------------------------
  * Token tools to add/remove PbtA "Forward" and "Ongoing" resources.
  * - v13+ style injection: controls.tokens.tools["key"] = {...}
- * - Acts on the user's currently selected token(s) only.
- * - Writes only when the user can edit the token's Actor (owner or GM).
+ * - Acts on the user's targeted token(s), else the selected token(s), else
+ *   their assigned Character (so a player can hand +1 Forward to a teammate).
+ * - Writes directly when the user can edit the Actor (owner or GM); otherwise
+ *   the change is relayed to the primary GM over the module socket.
  * - Shift-click = ±5, regular click = ±1. Values are clamped to >= 0.
+ * - Right-click (or long-press) a tool for a small picker that sets an exact
+ *   value on every recipient.
+ *
+ * Grants:
+ *   - Adding asks for a reason, a source and an optional expiry; each grant is
+ *     stored next to the number and listed in the sheet field's tooltip.
+ *   - Expiry: next roll (cleared once the actor rolls; see forward-rolls.mjs
+ *     for Forward itself being spent), end of scene (GM
+ *     activates another scene), end of session (Influence report "new session").
+ *     An expiring grant takes its amount back off the value.
+ *   - Removing (or lowering the value on the sheet) trims grants newest-first,
+ *     so the list never adds up to more than the value.
  *
  * Data paths (from attached actor JSON):
  *   - system.resources.forward.value
  *   - system.resources.ongoing.value
+ *   - flags[masks-newgeneration-extensions].grants.{forward,ongoing}
+ *       [{ id, amount, reason, source, expires, timestamp }]
  */
 
-const ResourceTools = {
+import { isMoveRoll } from "./forward-rolls.mjs";
+
+const NS = "masks-newgeneration-extensions";
+const SOCKET_NS = "module.masks-newgeneration-extensions";
+const RESOURCES = ["forward", "ongoing"];
+const FLAG_GRANTS = "grants";
+const RELAY_TIMEOUT = 10000; // ms to wait for the GM to confirm a relayed change
+
+export const GRANT_EXPIRY = Object.freeze({
+  nextRoll: "Next roll",
+  scene: "End of scene",
+  session: "End of session"
+});
+
+const path = (r) => `system.resources.${r}.value`;
+const grantsPath = (r) => `flags.${NS}.${FLAG_GRANTS}.${r}`;
+const resLabel = (r) => r === "forward" ? "Forward" : "Ongoing";
+const clamp = (n) => Math.max(0, Number.isFinite(n) ? Math.floor(n) : 0);
+
+function primaryGMId() {
+  const gms = (game.users?.contents ?? []).filter(u => u?.isGM && u?.active);
+  gms.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return gms[0]?.id ?? null;
+}
+
+/** World actor behind a (possibly synthetic) actor. */
+function baseActor(actor) {
+  return actor?.isToken ? (game.actors?.get(actor.token?.actorId) ?? actor) : actor;
+}
+
+/** Stored grants for one resource (a copy). */
+export function readGrants(actor, resource) {
+  const list = foundry.utils.getProperty(actor, grantsPath(resource));
+  return Array.isArray(list) ? foundry.utils.deepClone(list) : [];
+}
+
+/** Trim grants newest-first until they add up to no more than value. */
+function fitGrants(list, value) {
+  let excess = list.reduce((n, g) => n + (Number(g?.amount) || 0), 0) - value;
+  const out = list.slice();
+  for (let i = out.length - 1; i >= 0 && excess > 0; i--) {
+    const amt = Number(out[i]?.amount) || 0;
+    if (amt <= excess) {
+      excess -= amt;
+      out.splice(i, 1);
+    } else {
+      out[i] = { ...out[i], amount: amt - excess };
+      excess = 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * Update data that changes a resource by delta and records (or trims) grants.
+ * @param {Actor} actor
+ * @param {"forward"|"ongoing"} resource
+ * @param {number} delta
+ * @param {{reason?: string, source?: string, expires?: string}|null} [grant] recorded when delta > 0
+ * @returns {{update: object, before: number, after: number}}
+ */
+export function grantUpdate(actor, resource, delta, grant = null) {
+  const before = clamp(Number(foundry.utils.getProperty(actor, path(resource)) ?? 0));
+  const after = clamp(before + delta);
+  let list = readGrants(actor, resource);
+  if (after > before && grant) {
+    list.push({
+      id: foundry.utils.randomID(),
+      amount: after - before,
+      reason: String(grant.reason ?? "").trim(),
+      source: String(grant.source ?? "").trim(),
+      expires: grant.expires in GRANT_EXPIRY ? grant.expires : "",
+      timestamp: Date.now()
+    });
+  }
+  list = fitGrants(list, after);
+  return { update: { [path(resource)]: after, [grantsPath(resource)]: list }, before, after };
+}
+
+/** One line per grant, plus any untracked remainder. */
+function describeGrants(actor, resource) {
+  const value = clamp(Number(foundry.utils.getProperty(actor, path(resource)) ?? 0));
+  const list = fitGrants(readGrants(actor, resource), value);
+  const lines = list.map(g => {
+    let s = `+${g.amount}`;
+    if (g.reason) s += ` ${g.reason}`;
+    if (g.source) s += ` (from ${g.source})`;
+    if (g.expires) s += ` · until ${GRANT_EXPIRY[g.expires]?.toLowerCase() ?? g.expires}`;
+    return s;
+  });
+  const rest = value - list.reduce((n, g) => n + g.amount, 0);
+  if (rest > 0) lines.push(`+${rest} (no reason recorded)`);
+  return lines;
+}
+
+/**
+ * Remove every grant with this expiry and take its amount off the value.
+ * @param {Actor} actor
+ * @param {string} trigger key of GRANT_EXPIRY
+ * @returns {Promise<Array<{resource: string, amount: number, reason: string}>>} what expired
+ */
+export async function expireGrants(actor, trigger) {
+  const update = {};
+  const expired = [];
+  for (const r of RESOURCES) {
+    const list = readGrants(actor, r);
+    const gone = list.filter(g => g?.expires === trigger);
+    if (!gone.length) continue;
+    const amount = gone.reduce((n, g) => n + (Number(g.amount) || 0), 0);
+    const value = clamp(Number(foundry.utils.getProperty(actor, path(r)) ?? 0) - amount);
+    update[path(r)] = value;
+    update[grantsPath(r)] = fitGrants(list.filter(g => g?.expires !== trigger), value);
+    gone.forEach(g => expired.push({ resource: r, amount: Number(g.amount) || 0, reason: g.reason ?? "" }));
+  }
+  if (!expired.length) return expired;
+  try {
+    await actor.update(update);
+  } catch (err) {
+    console.error(`[${NS}] Failed to expire Forward/Ongoing on ${actor.name}`, err);
+  }
+  return expired;
+}
+
+/** Ask for the grant details; resolves { amount, reason, source, expires } or null. */
+function promptGrant(resource, amount) {
+  const esc = foundry.utils.escapeHTML;
+  const source = game.user?.character?.name ?? game.user?.name ?? "";
+  const expiry = Object.entries(GRANT_EXPIRY)
+    .map(([k, label]) => `<option value="${k}" ${resource === "forward" && k === "nextRoll" ? "selected" : ""}>${label}</option>`)
+    .join("");
+  const content = `
+    <form style="margin-bottom:8px;">
+      <div class="form-group">
+        <label>Amount</label>
+        <input type="number" name="amount" value="${amount}" min="1" step="1" />
+      </div>
+      <div class="form-group">
+        <label>Reason</label>
+        <input type="text" name="reason" placeholder="e.g. Comfort or Support" autofocus />
+      </div>
+      <div class="form-group">
+        <label>Source</label>
+        <input type="text" name="source" value="${esc(source)}" />
+      </div>
+      <div class="form-group">
+        <label>Expires</label>
+        <select name="expires">
+          <option value="">When used up</option>
+          ${expiry}
+        </select>
+      </div>
+    </form>`;
+
+  return new Promise((resolve) => {
+    // eslint-disable-next-line no-new
+    new Dialog({
+      title: `Add ${resLabel(resource)}`,
+      content,
+      buttons: {
+        ok: {
+          label: "Add",
+          callback: html => {
+            const form = html[0].querySelector("form");
+            resolve({
+              amount: clamp(Number(form?.amount?.value)) || amount,
+              reason: form?.reason?.value ?? "",
+              source: form?.source?.value ?? "",
+              expires: form?.expires?.value ?? ""
+            });
+          }
+        },
+        cancel: { label: "Cancel", callback: () => resolve(null) }
+      },
+      default: "ok",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+export const ResourceTools = {
+  /**
+   * Who a click acts on: targeted tokens, else controlled tokens, else the
+   * user's assigned Character. Tokens resolve to their world actor (as roll
+   * settling does), deduplicated so each actor is written once.
+   * @returns {Array<{actor: Actor, label: string}>}
+   */
+  recipients() {
+    const targets = Array.from(game.user?.targets ?? []).filter(t => t?.actor);
+    const controlled = Array.from(canvas.tokens?.controlled ?? []).filter(t => t?.actor);
+    const tokens = targets.length ? targets : controlled;
+
+    const byId = new Map();
+    for (const t of tokens) {
+      const a = baseActor(t.actor);
+      if (!byId.has(a.id)) byId.set(a.id, { actor: a, label: a.name ?? t.document?.name ?? "Actor" });
+    }
+    const mine = game.user?.character;
+    if (!tokens.length && mine) byId.set(mine.id, { actor: mine, label: mine.name });
+    return [...byId.values()];
+  },
+
   /**
-   * Adjust a resource for all selected tokens.
+   * Adjust a resource for the targeted/selected tokens (or your Character).
+   * Actors you can't edit are relayed to the primary GM.
    * @param {"forward"|"ongoing"} resource
    * @param {number} delta  positive or negative step
+   * @param {{reason?: string, source?: string, expires?: string}|null} [grant]
+   *        details for an increase; prompted for when omitted
    */
-  async adjust(resource, delta) {
-    const tokens = Array.from(canvas.tokens?.controlled ?? []).filter(t => t?.actor);
-    if (tokens.length === 0) {
-      ui.notifications?.warn?.("Select at least one token first.");
+  async adjust(resource, delta, grant) {
+    const recipients = this.recipients();
+    if (recipients.length === 0) {
+      ui.notifications?.warn?.("Target or select a token first (or assign yourself a Character).");
       return;
     }
 
-    // Deduplicate actors to avoid double writes for multiple linked tokens.
-    const actorById = new Map();
-    const denied = [];
-    for (const t of tokens) {
-      const a = t.actor;
-      if (!a) continue;
-      if (game.user?.isGM || a.isOwner === true) {
-        if (!actorById.has(a.id)) actorById.set(a.id, { actor: a, label: a.name ?? t.document?.name ?? "Actor" });
-      } else {
-        denied.push(t.document?.name ?? t.name ?? a.name ?? "Token");
-      }
+    if (!this._checkRelay(recipients)) return;
+
+    if (delta > 0 && grant === undefined) {
+      grant = await promptGrant(resource, delta);
+      if (!grant) return;
+      delta = grant.amount;
     }
 
-    if (actorById.size === 0) {
-      ui.notifications?.warn?.("You don't have permission to edit any of the selected token(s).");
+    const verb = (delta > 0 ? `+${delta}` : `${delta}`) + (grant?.reason ? ` (${grant.reason})` : "");
+    return this._write(resource, recipients, { delta, grant }, verb);
+  },
+
+  /**
+   * Set an exact value on the targeted/selected tokens (or your Character).
+   * Increases carry no reason; decreases trim grants as usual.
+   * @param {"forward"|"ongoing"} resource
+   * @param {number} value
+   */
+  async setValue(resource, value) {
+    const recipients = this.recipients();
+    if (recipients.length === 0) {
+      ui.notifications?.warn?.("Target or select a token first (or assign yourself a Character).");
       return;
     }
+    if (!this._checkRelay(recipients)) return;
+    value = clamp(Number(value));
+    return this._write(resource, recipients, { value }, `= ${value}`);
+  },
+
+  /** Warn when some recipients need a GM and none is online; false if nothing is writable. */
+  _checkRelay(recipients) {
+    const canWrite = (a) => game.user?.isGM || a.isOwner === true;
+    if (recipients.every(r => canWrite(r.actor)) || primaryGMId()) return true;
+    ui.notifications?.warn?.("A GM must be online to change Forward/Ongoing on actors you don't own.");
+    return recipients.some(r => canWrite(r.actor));
+  },
 
-    const path = (r) => `system.resources.${r}.value`;
-    const clamp = (n) => Math.max(0, Number.isFinite(n) ? Math.floor(n) : 0);
+  /** Relayed changes awaiting the GM's answer, by request id. */
+  _pending: new Map(),
+
+  /**
+   * Write (or relay) one change per recipient and summarize before → after
+   * once every write has settled. Relayed changes count only when the GM
+   * confirms them; failures and unconfirmed relays are reported separately.
+   * @param {string} resource
+   * @param {Array<{actor: Actor, label: string}>} recipients
+   * @param {{delta?: number, value?: number, grant?: object|null}} change  delta, or an exact value
+   * @param {string} verb summary heading, e.g. "+1" or "= 3"
+   */
+  async _write(resource, recipients, { delta, value, grant = null }, verb) {
+    const canWrite = (a) => game.user?.isGM || a.isOwner === true;
 
-    /** Build updates and remember before/after for summary */
-    const updates = [];
-    const changes = []; // {label, before, after, res}
+    /** One pending write per recipient: {label, before, after, relayed, done} */
+    const writes = [];
 
-    for (const { actor, label } of actorById.values()) {
-      const before = Number(foundry.utils.getProperty(actor, path(resource)) ?? 0);
-      const after = clamp(before + delta);
+    for (const { actor, label } of recipients) {
+      const current = clamp(Number(foundry.utils.getProperty(actor, path(resource)) ?? 0));
+      const step = value === undefined ? delta : value - current;
+      const { update, before, after } = grantUpdate(actor, resource, step, grant);
       if (after === before) continue;
-      updates.push(actor.update({ [path(resource)]: after }));
-      changes.push({ label, before, after, res: resource });
+      if (canWrite(actor)) {
+        writes.push({ label, before, after, relayed: false, done: actor.update(update) });
+      } else if (primaryGMId()) {
+        // The GM recomputes from its own copy, so concurrent changes aren't lost
+        const done = this._relay({ action: "resourceAdjust", actorUuid: actor.uuid, resource, delta, value, grant });
+        writes.push({ label, before, after, relayed: true, done });
+      }
     }
 
-    if (updates.length === 0) {
+    if (writes.length === 0) {
       ui.notifications?.info?.("Nothing to change.");
       return;
     }
 
-    try {
-      await Promise.allSettled(updates);
-    } catch (err) {
-      console.error("[forward-ongoing-tools] Failed to update resource(s).", err);
-      ui.notifications?.error?.("Couldn’t update Forward/Ongoing (see console).");
-      return;
-    }
+    const results = await Promise.allSettled(writes.map(w => w.done));
+    const changes = [];
+    const failed = [];
+    const unconfirmed = [];
+    writes.forEach((w, i) => {
+      const r = results[i];
+      if (r.status === "rejected") {
+        console.error(`[${NS}] Failed to update ${resLabel(resource)} for ${w.label}.`, r.reason);
+        failed.push(w.label);
+      } else if (!w.relayed) {
+        changes.push(w);
+      } else if (!r.value) {
+        unconfirmed.push(w.label);
+      } else if (!r.value.ok) {
+        failed.push(w.label);
+      } else {
+        changes.push({ ...w, before: r.value.before, after: r.value.after });
+      }
+    });
 
     // Summarize result
-    const resLabel = (r) => r === "forward" ? "Forward" : "Ongoing";
-    const verb = delta > 0 ? `+${delta}` : `${delta}`;
-    const lines = changes.slice(0, 4).map(c => `• ${c.label}: ${c.before} → ${c.after}`).join("\n");
-    const more = changes.length > 4 ? `\n…and ${changes.length - 4} more.` : "";
-    ui.notifications?.info?.(`${resLabel(resource)} ${verb}\n${lines}${more}`);
+    if (changes.length) {
+      const lines = changes.slice(0, 4).map(c => `• ${c.label}: ${c.before} → ${c.after}`).join("\n");
+      const more = changes.length > 4 ? `\n…and ${changes.length - 4} more.` : "";
+      ui.notifications?.info?.(`${resLabel(resource)} ${verb}\n${lines}${more}`);
+    }
+    if (failed.length) ui.notifications?.error?.(`Couldn’t update ${resLabel(resource)} for ${failed.join(", ")} (see console).`);
+    if (unconfirmed.length) ui.notifications?.warn?.(`${resLabel(resource)} for ${unconfirmed.join(", ")} is unconfirmed: the GM hasn’t answered yet.`);
 
     // No need to ping chat; keep it quiet like other quick controls.
+  },
+
+  /** Send a change to the primary GM; resolves its answer ({ ok, before, after }) or null on timeout. */
+  _relay(payload) {
+    const requestId = foundry.utils.randomID(16);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(requestId);
+        resolve(null);
+      }, RELAY_TIMEOUT);
+      this._pending.set(requestId, (answer) => {
+        clearTimeout(timer);
+        resolve(answer ?? { ok: false });
+      });
+      game.socket?.emit(SOCKET_NS, { ...payload, requestId });
+    });
+  },
+
+  /** Socket: GM side of a relayed change, and the requester's side of the answer. */
+  async _onSocket(data) {
+    if (data?.action === "resourceAdjustDone") {
+      const done = this._pending.get(data.requestId);
+      this._pending.delete(data.requestId);
+      done?.(data);
+      return;
+    }
+    if (data?.action !== "resourceAdjust" || game.user?.id !== primaryGMId()) return;
+    const answer = await this._gmApply(data);
+    game.socket?.emit(SOCKET_NS, { action: "resourceAdjustDone", requestId: data.requestId, ...answer });
+  },
+
+  /** GM-side application for players adjusting actors they don't own. */
+  async _gmApply(data) {
+    const actor = fromUuidSync(String(data.actorUuid ?? ""));
+    if (actor?.documentName !== "Actor" || !RESOURCES.includes(data.resource)) return { ok: false };
+    const current = clamp(Number(foundry.utils.getProperty(actor, path(data.resource)) ?? 0));
+    // Exact values (the picker) are applied against the GM's copy
+    const delta = Number.isFinite(data.value)
+      ? clamp(data.value) - current
+      : Math.trunc(Number(data.delta) || 0);
+    if (!delta) return { ok: true, before: current, after: current };
+    const { update, before, after } = grantUpdate(actor, data.resource, delta, data.grant ?? null);
+    if (after === before) return { ok: true, before, after };
+    try {
+      await actor.update(update);
+      return { ok: true, before, after };
+    } catch (err) {
+      console.error(`[${NS}] Forward/Ongoing relay failed`, err);
+      return { ok: false };
+    }
   }
 };
 
 /* --------------------- Scene Controls (v13+ injection) -------------------- */
 
+const TOOL_RESOURCE = { forwardAdd: "forward", forwardRemove: "forward", ongoingAdd: "ongoing", ongoingRemove: "ongoing" };
+const LONG_PRESS_MS = 500;
+
+/** Shift held for this click (the event when the controls pass one, else the keyboard state). */
+function isShift(evt) {
+  if (evt && "shiftKey" in evt) return evt.shiftKey === true;
+  return game.keyboard?.isModifierActive?.(KeyboardManager.MODIFIER_KEYS.SHIFT) === true;
+}
+
+/** Small popover next to a tool button for setting an exact value. */
+function openValuePicker(button, resource) {
+  document.querySelector(".masks-resource-picker")?.remove();
+  const recipients = ResourceTools.recipients();
+  const values = recipients.map(r => clamp(Number(foundry.utils.getProperty(r.actor, path(resource)) ?? 0)));
+  const same = values.length && values.every(v => v === values[0]);
+
+  const pop = document.createElement("form");
+  pop.className = "masks-resource-picker";
+  pop.innerHTML = `
+    <label>Set ${resLabel(resource)} <span class="hint">(${recipients.length || "no"} actor${recipients.length === 1 ? "" : "s"})</span></label>
+    <div class="row">
+      <input type="number" name="value" min="0" step="1" value="${same ? values[0] : ""}" placeholder="${values.join(", ")}" />
+      <button type="submit"><i class="fa-solid fa-check"></i> Set</button>
+    </div>`;
+  const rect = button.getBoundingClientRect();
+  pop.style.left = `${rect.right + 6}px`;
+  pop.style.top = `${rect.top}px`;
+  document.body.append(pop);
+
+  const input = pop.querySelector("input[name='value']");
+  input.focus();
+  input.select();
+
+  const close = () => {
+    pop.remove();
+    document.removeEventListener("pointerdown", outside, true);
+  };
+  const outside = (ev) => { if (!pop.contains(ev.target)) close(); };
+  document.addEventListener("pointerdown", outside, true);
+  pop.addEventListener("keydown", (ev) => { if (ev.key === "Escape") close(); });
+  pop.addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const raw = input.value.trim();
+    close();
+    if (raw !== "" && Number.isFinite(Number(raw))) ResourceTools.setValue(resource, Number(raw));
+  });
+}
+
+// Right-click or long-press a Forward/Ongoing tool to set an exact value
+Hooks.on("renderSceneControls", (app, html) => {
+  const root = html?.[0] ?? html ?? app?.element;
+  if (!root?.querySelectorAll) return;
+  for (const [tool, resource] of Object.entries(TOOL_RESOURCE)) {
+    root.querySelectorAll(`[data-tool="${tool}"]`).forEach(btn => {
+      if (btn.dataset.masksPicker) return;
+      btn.dataset.masksPicker = "1";
+
+      btn.addEventListener("contextmenu", (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        openValuePicker(btn, resource);
+      });
+
+      // Long-press (touch): open the picker and swallow the click that follows
+      let timer = null;
+      let pressed = false;
+      const cancel = () => { clearTimeout(timer); timer = null; };
+      btn.addEventListener("pointerdown", (ev) => {
+        if (ev.button !== 0) return;
+        pressed = false;
+        timer = setTimeout(() => {
+          pressed = true;
+          openValuePicker(btn, resource);
+        }, LONG_PRESS_MS);
+      });
+      btn.addEventListener("pointerup", cancel);
+      btn.addEventListener("pointerleave", cancel);
+      btn.addEventListener("click", (ev) => {
+        if (!pressed) return;
+        pressed = false;
+        ev.preventDefault();
+        ev.stopImmediatePropagation();
+      }, true);
+    });
+  }
+});
+
 Hooks.on("getSceneControlButtons", (controls) => {
   if (!controls?.tokens?.tools) return;
 
@@ -96,14 +502,14 @@ Hooks.on("getSceneControlButtons", (controls) => {
 
   // Helper: generate onClick using shift for ±5
   const withDelta = (resource, sign) => (evt) => {
-    const step = 1
+    const step = isShift(evt) ? 5 : 1;
     ResourceTools.adjust(resource, sign * step);
   };
 
   addTool("forwardAdd", {
     layer: "tokens",
     name: "forwardAdd",
-    title: "Add +1 Forward",
+    title: "Add +1 Forward (Shift: +5 · right-click: set value)",
     icon: "fa-solid fa-forward",
     button: true,
     visible: true,
@@ -113,7 +519,7 @@ Hooks.on("getSceneControlButtons", (controls) => {
   addTool("forwardRemove", {
     layer: "tokens",
     name: "forwardRemove",
-    title: "Remove 1 Forward",
+    title: "Remove 1 Forward (Shift: −5 · right-click: set value)",
     icon: "fa-solid fa-backward",
     button: true,
     visible: true,
@@ -123,7 +529,7 @@ Hooks.on("getSceneControlButtons", (controls) => {
   addTool("ongoingAdd", {
     layer: "tokens",
     name: "ongoingAdd",
-    title: "Add +1 Ongoing",
+    title: "Add +1 Ongoing (Shift: +5 · right-click: set value)",
     icon: "fa-solid fa-right-from-bracket",
     button: true,
     visible: true,
@@ -133,10 +539,128 @@ Hooks.on("getSceneControlButtons", (controls) => {
   addTool("ongoingRemove", {
     layer: "tokens",
     name: "ongoingRemove",
-    title: "Remove 1 Ongoing",
+    title: "Remove 1 Ongoing (Shift: −5 · right-click: set value)",
     icon: "fa-solid fa-left-to-bracket",
     button: true,
     visible: true,
     onClick: withDelta("ongoing", -1)
   });
 });
+
+/* ------------------------------ Grants: hooks ----------------------------- */
+
+// Sheet edits to the number alone trim the grant list to fit (writing client).
+Hooks.on("preUpdateActor", (actor, changes) => {
+  for (const r of RESOURCES) {
+    const value = foundry.utils.getProperty(changes, path(r));
+    if (value === undefined || foundry.utils.getProperty(changes, grantsPath(r)) !== undefined) continue;
+    const list = readGrants(actor, r);
+    if (!list.length) continue;
+    const fitted = fitGrants(list, clamp(Number(value)));
+    if (fitted.length !== list.length || fitted.some((g, i) => g.amount !== list[i].amount)) {
+      foundry.utils.setProperty(changes, grantsPath(r), fitted);
+    }
+  }
+});
+
+// Tooltip on the sheet's Forward/Ongoing fields listing why the bonus exists
+function decorateSheet(app, html) {
+  const actor = app?.actor ?? app?.document;
+  const root = html?.[0] ?? html ?? app?.element;
+  if (!actor || !root?.querySelectorAll) return;
+  for (const r of RESOURCES) {
+    const lines = describeGrants(actor, r);
+    root.querySelectorAll(`[name="${path(r)}"]`).forEach(el => {
+      if (!lines.length) {
+        el.removeAttribute("data-tooltip");
+        return;
+      }
+      const esc = foundry.utils.escapeHTML;
+      el.setAttribute("data-tooltip", `<b>${resLabel(r)}</b><br/>${lines.map(esc).join("<br/>")}`);
+      el.setAttribute("data-tooltip-direction", "UP");
+    });
+  }
+}
+Hooks.on("renderActorSheet", decorateSheet);
+Hooks.on("renderActorSheetV2", decorateSheet);
+
+/**
+ * After a roll: spend Forward (if the roll used it) and drop "next roll" grants,
+ * in one update.
+ * @param {Actor} actor
+ * @param {{used?: number, optOut?: boolean}} forward what the roll did with Forward (the card's flag)
+ */
+export async function settleRoll(actor, forward) {
+  const update = {};
+  for (const r of RESOURCES) {
+    const before = clamp(Number(foundry.utils.getProperty(actor, path(r)) ?? 0));
+    const list = readGrants(actor, r);
+    let value = before;
+    let kept = list;
+    if (r === "forward" && forward?.optOut) {
+      // Held back for a later roll; its grants stay as they are
+    } else if (r === "forward" && forward?.used) {
+      value = clamp(before - forward.used);
+      kept = fitGrants(list, value);
+    } else {
+      const gone = list.filter(g => g?.expires === "nextRoll");
+      value = clamp(before - gone.reduce((n, g) => n + (Number(g.amount) || 0), 0));
+      kept = fitGrants(list.filter(g => g?.expires !== "nextRoll"), value);
+    }
+    if (value !== before) update[path(r)] = value;
+    if (kept.length !== list.length || kept.some((g, i) => g.amount !== list[i].amount)) update[grantsPath(r)] = kept;
+  }
+  if (!Object.keys(update).length) return;
+  try {
+    await actor.update(update);
+  } catch (err) {
+    console.error(`[${NS}] Failed to settle Forward/Ongoing on ${actor.name}`, err);
+  }
+}
+
+// After a move roll the rolling client (or the GM, if it can't write) settles
+// Forward. Only Character 2d6 rolls that forward-rolls.mjs flagged count; any
+// other message (damage, GM rolls, auto-consume off) leaves Forward alone.
+Hooks.on("createChatMessage", async (message) => {
+  if (!message?.rolls?.length || !isMoveRoll(message)) return;
+  const forward = message.getFlag?.(NS, "forward");
+  if (!forward) return;
+  const base = baseActor(ChatMessage.getSpeakerActor?.(message.speaker));
+  if (base?.type !== "character") return;
+
+  const author = message.author ?? game.users?.get(message.user);
+  const authorCanWrite = !!author?.active && base.testUserPermission?.(author, "OWNER") === true;
+  const mine = authorCanWrite ? author.id === game.user?.id : game.user?.id === primaryGMId();
+  if (mine) await settleRoll(base, forward);
+});
+
+/** Primary GM: expire a trigger on every actor holding such a grant. */
+async function expireEverywhere(trigger) {
+  if (game.user?.id !== primaryGMId()) return;
+  const lines = [];
+  for (const actor of game.actors?.contents ?? []) {
+    const gone = await expireGrants(actor, trigger);
+    for (const g of gone) {
+      lines.push(`${foundry.utils.escapeHTML(actor.name)}: −${g.amount} ${resLabel(g.resource)}${g.reason ? ` (${foundry.utils.escapeHTML(g.reason)})` : ""}`);
+    }
+  }
+  if (!lines.length) return;
+  await ChatMessage.create({
+    content: `<h6>Forward/Ongoing expired — ${GRANT_EXPIRY[trigger]}</h6>${lines.join("<br/>")}`,
+    type: CONST.CHAT_MESSAGE_TYPES.OTHER
+  });
+}
+
+Hooks.on("updateScene", (scene, changes) => {
+  if (changes?.active === true) expireEverywhere("scene");
+});
+
+Hooks.on("masksInfluenceSessionStarted", () => expireEverywhere("session"));
+
+Hooks.once("ready", () => {
+  try {
+    game.socket?.on(SOCKET_NS, (data) => ResourceTools._onSocket(data));
+  } catch (err) {
+    console.warn(`[${NS}] Socket unavailable; Forward/Ongoing relay disabled.`, err);
+  }
+});
@@ -0,0 +1,144 @@
+/* global game, ui, foundry */
+
+/**
+ * apps/conditions-config.mjs
+ * ---------------------------------------------------------------------------
+ * World settings menu for the conditions conditions.mjs keeps as token icons.
+ * - Built-ins (Afraid … Insecure) can be relabelled, re-iconed or disabled.
+ * - Homebrew conditions can be added and removed.
+ * - Each condition lists the sheet option labels that mark it (comma separated;
+ *   "(-2 …)" suffixes are ignored), so playbook-specific options can map in.
+ *
+ * Saving writes the `conditionConfig` world setting; every client rebuilds its
+ * managed set and the elected writer re-syncs all actors.
+ */
+
+import { readConditionConfig, DEFAULT_CONDITIONS, KEY_CONDITIONS } from "../conditions.mjs";
+
+const NS = "masks-newgeneration-extensions";
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class ConditionsConfigApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "masks-conditions-config",
+    classes: ["masks-conditions-config"],
+    tag: "form",
+    window: {
+      title: "Configure Conditions",
+      icon: "fa-solid fa-face-frown",
+      resizable: true
+    },
+    position: { width: 720, height: "auto" },
+    form: {
+      handler: ConditionsConfigApp.#onSubmit,
+      closeOnSubmit: false
+    },
+    actions: {
+      addRow: ConditionsConfigApp.#onAddRow,
+      removeRow: ConditionsConfigApp.#onRemoveRow,
+      reset: ConditionsConfigApp.#onReset
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${NS}/templates/conditions-config.hbs`,
+      scrollable: [".rows"]
+    }
+  };
+
+  /** Rows being edited (null = load from the setting on next render). */
+  _rows = null;
+
+  /** Every condition option label found on world actors, for the datalist. */
+  static knownLabels() {
+    const labels = new Set();
+    for (const actor of game.actors?.contents ?? []) {
+      const opts = foundry.utils.getProperty(actor, "system.attributes.conditions.options") ?? {};
+      for (const o of Object.values(opts)) {
+        const base = String(o?.label ?? "").split("(")[0].trim();
+        if (base) labels.add(base);
+      }
+    }
+    return [...labels].sort((a, b) => a.localeCompare(b));
+  }
+
+  async _prepareContext() {
+    this._rows ??= readConditionConfig();
+    return {
+      rows: this._rows.map((r, index) => ({ ...r, index, labelsText: r.labels.join(", ") })),
+      knownLabels: ConditionsConfigApp.knownLabels()
+    };
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    this._rows = null;
+  }
+
+  /** Current form values as rows (keeps edits across add/remove re-renders). */
+  #readForm() {
+    const data = new foundry.applications.ux.FormDataExtended(this.element).object;
+    const rows = foundry.utils.expandObject(data).rows ?? {};
+    return Object.keys(rows).sort((a, b) => Number(a) - Number(b)).map(i => {
+      const r = rows[i];
+      return {
+        key: String(r.key),
+        name: String(r.name ?? "").trim(),
+        img: String(r.img ?? "").trim(),
+        labels: String(r.labels ?? "").split(",").map(l => l.trim()).filter(Boolean),
+        enabled: r.enabled === true,
+        builtin: r.builtin === true || r.builtin === "true"
+      };
+    });
+  }
+
+  static async #onAddRow() {
+    this._rows = this.#readForm();
+    this._rows.push({
+      key: `custom-${foundry.utils.randomID(8).toLowerCase()}`,
+      name: "",
+      img: "icons/svg/aura.svg",
+      labels: [],
+      enabled: true,
+      builtin: false
+    });
+    this.render();
+  }
+
+  static async #onRemoveRow(event, target) {
+    const index = Number(target.closest("[data-index]")?.dataset.index);
+    this._rows = this.#readForm();
+    if (this._rows[index]?.builtin) return;
+    this._rows.splice(index, 1);
+    this.render();
+  }
+
+  /** Restore the built-ins' labels and canonical icons; homebrew rows stay (saved on submit). */
+  static async #onReset() {
+    this._rows = this.#readForm().map(r => {
+      const def = r.builtin && DEFAULT_CONDITIONS.find(d => d.key === r.key);
+      return def ? { ...r, name: def.name, img: def.img, labels: [def.name], enabled: true } : r;
+    });
+    this.render();
+  }
+
+  static async #onSubmit() {
+    if (!game.user?.isGM) return;
+    const rows = this.#readForm().filter(r => r.builtin || r.name);
+    const names = rows.filter(r => r.enabled).map(r => r.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      ui.notifications?.warn?.("Two enabled conditions share a name; rename one before saving.");
+      return;
+    }
+    await game.settings.set(NS, KEY_CONDITIONS, rows.map(r => ({
+      key: r.key,
+      name: r.name || r.key,
+      img: r.img,
+      labels: r.labels.length ? r.labels : [r.name || r.key],
+      enabled: r.enabled
+    })));
+    ui.notifications?.info?.("Conditions saved.");
+    await this.close();
+  }
+}
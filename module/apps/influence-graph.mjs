@@ -0,0 +1,179 @@
+/* global game, foundry, Hooks */
+
+/**
+ * apps/influence-graph.mjs
+ * ---------------------------------------------------------------------------
+ * Whole-cast Influence viewer: every Character, every NPC someone has
+ * Influence with (on the scene or not), and names that match no actor.
+ *
+ * Layout is deterministic: heroes on an inner ring, everyone else outside.
+ * - No focus : blue = mutual, green arrow = one-way (points at the influenced)
+ * - Focus    : only the focused character's edges; green = they have Influence,
+ *              purple = the other has Influence over them, blue = mutual.
+ * - Click a portrait to open that actor's sheet.
+ *
+ * Data comes from InfluenceIndex.graph(); we re-render on every index rebuild.
+ */
+
+import { NS, InfluenceIndex, COLOR_OUT, COLOR_IN, COLOR_MUT } from "../helpers/influence.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const SIZE = 800;     // svg viewBox (square)
+const NODE_R = 26;    // portrait radius
+const hex = (c) => `#${Number(c).toString(16).padStart(6, "0")}`;
+
+export class InfluenceGraphApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** Focused node id ("" = everyone) */
+  focus = "";
+
+  static DEFAULT_OPTIONS = {
+    id: "masks-influence-graph",
+    classes: ["masks-influence-graph"],
+    tag: "section",
+    window: {
+      title: "Influence Graph",
+      icon: "fa-solid fa-diagram-project",
+      resizable: true
+    },
+    position: { width: 720, height: 780 },
+    actions: {
+      openActor: InfluenceGraphApp.#onOpenActor
+    }
+  };
+
+  static PARTS = {
+    graph: { template: `modules/${NS}/templates/influence-graph.hbs` }
+  };
+
+  /** Singleton opener for the scene-control button. */
+  static open() {
+    this._instance ??= new InfluenceGraphApp();
+    return this._instance.render({ force: true });
+  }
+
+  async _prepareContext() {
+    const { nodes: all, edges: allEdges } = InfluenceIndex.graph();
+
+    // Players only see actors they could already see in the sidebar.
+    const keep = all.map(n => game.user?.isGM || !n.actor || n.actor.visible);
+    const index = new Map();
+    const nodes = [];
+    all.forEach((n, i) => { if (keep[i]) { index.set(i, nodes.length); nodes.push(n); } });
+    const edges = allEdges
+      .filter(e => index.has(e.a) && index.has(e.b))
+      .map(e => ({ ...e, a: index.get(e.a), b: index.get(e.b) }));
+
+    if (this.focus && !nodes.some(n => n.id === this.focus)) this.focus = "";
+
+    // Rings: heroes inside, everyone else outside (one ring if only one group)
+    const heroes = nodes.filter(n => n.type === "character");
+    const others = nodes.filter(n => n.type !== "character");
+    const c = SIZE / 2;
+    const both = heroes.length && others.length;
+    const place = (group, radius) => group.forEach((n, i) => {
+      const t = (2 * Math.PI * i) / Math.max(1, group.length) - Math.PI / 2;
+      n.x = group.length === 1 && !both ? c : c + radius * Math.cos(t);
+      n.y = group.length === 1 && !both ? c : c + radius * Math.sin(t);
+    });
+    place(heroes, both ? 170 : 320);
+    place(others, 320);
+
+    const focusIdx = this.focus ? nodes.findIndex(n => n.id === this.focus) : -1;
+    const near = new Set(focusIdx >= 0 ? [focusIdx] : []);
+
+    const lines = [];
+    for (const e of edges) {
+      let from = e.a, to = e.b, color, arrowStart = false;
+      if (focusIdx >= 0) {
+        if (e.a !== focusIdx && e.b !== focusIdx) continue;
+        const other = e.a === focusIdx ? e.b : e.a;
+        const out = e.a === focusIdx ? e.ab : e.ba; // focus → other
+        const inn = e.a === focusIdx ? e.ba : e.ab; // other → focus
+        near.add(other);
+        if (out && inn) { color = COLOR_MUT; arrowStart = true; from = focusIdx; to = other; }
+        else if (out)   { color = COLOR_OUT; from = focusIdx; to = other; }
+        else            { color = COLOR_IN;  from = other; to = focusIdx; }
+      } else if (e.ab && e.ba) {
+        color = COLOR_MUT; arrowStart = true;
+      } else {
+        color = COLOR_OUT;
+        if (e.ba) { from = e.b; to = e.a; }
+      }
+
+      // Stop the line at the portrait rims so arrowheads stay visible.
+      const p1 = nodes[from], p2 = nodes[to];
+      const dx = p2.x - p1.x, dy = p2.y - p1.y;
+      const len = Math.max(1, Math.hypot(dx, dy));
+      const ux = dx / len, uy = dy / len;
+      const key = color === COLOR_MUT ? "mut" : color === COLOR_IN ? "in" : "out";
+      lines.push({
+        x1: p1.x + ux * NODE_R, y1: p1.y + uy * NODE_R,
+        x2: p2.x - ux * NODE_R, y2: p2.y - uy * NODE_R,
+        color: hex(color),
+        markerStart: arrowStart ? `masks-arrow-${key}` : null,
+        markerEnd: `masks-arrow-${key}`
+      });
+    }
+
+    return {
+      size: SIZE,
+      r: NODE_R,
+      d: NODE_R * 2,
+      markers: [
+        { id: "masks-arrow-out", color: hex(COLOR_OUT) },
+        { id: "masks-arrow-in", color: hex(COLOR_IN) },
+        { id: "masks-arrow-mut", color: hex(COLOR_MUT) }
+      ],
+      legend: { out: hex(COLOR_OUT), inn: hex(COLOR_IN), mut: hex(COLOR_MUT) },
+      choices: nodes
+        .filter(n => n.actor)
+        .sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === "character" ? -1 : 1))
+        .map(n => ({ id: n.id, name: n.name, selected: n.id === this.focus })),
+      lines,
+      nodes: nodes.map((n, i) => ({
+        id: n.id,
+        actorId: n.actor?.id ?? "",
+        name: n.name,
+        img: n.img,
+        type: n.type,
+        x: n.x,
+        y: n.y,
+        ix: n.x - NODE_R,
+        iy: n.y - NODE_R,
+        ty: n.y + NODE_R + 14,
+        clipId: `masks-node-${i}`,
+        dim: focusIdx >= 0 && !near.has(i)
+      })),
+      empty: nodes.length === 0
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.element.querySelector("select[name='focus']")?.addEventListener("change", (ev) => {
+      this.focus = ev.currentTarget.value;
+      this.render();
+    });
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this._hookId = Hooks.on("masksInfluenceRebuilt", foundry.utils.debounce(() => {
+      if (this.rendered) this.render();
+    }, 100));
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    if (this._hookId != null) Hooks.off("masksInfluenceRebuilt", this._hookId);
+    this._hookId = null;
+  }
+
+  /** Click a portrait: open that actor's sheet (if the user may see it). */
+  static #onOpenActor(event, target) {
+    const actor = game.actors?.get(target.dataset.actorId);
+    if (!actor?.visible) return;
+    actor.sheet?.render(true);
+  }
+}
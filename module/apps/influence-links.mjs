@@ -0,0 +1,180 @@
+/* global game, ui, foundry, Hooks */
+
+/**
+ * apps/influence-links.mjs
+ * ---------------------------------------------------------------------------
+ * GM review window for upgrading name-only Influence entries to exact links.
+ *
+ * Every Character's (and NPC list's) entries are listed with one of these statuses:
+ * - linked    : the entry stores a uuid that resolves to a world actor
+ * - unique    : exactly one actor matches the name; "Link all" handles these
+ * - ambiguous : several actors (or only fuzzy matches) fit; pick one by hand
+ * - missing   : nothing matches; pick any actor or leave it as plain text
+ *
+ * Linking only adds `uuid` to the entry; names and flags are left alone.
+ * Re-renders when any actor's Influence flags change.
+ */
+
+import { NS, readInfluences, influencePath, linkedActor, resolveInfluenceTarget } from "../helpers/influence.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const ORDER = { ambiguous: 0, missing: 1, unique: 2, linked: 3 };
+const LABELS = { ambiguous: "Review", missing: "No match", unique: "Ready", linked: "Linked" };
+
+export class InfluenceLinksApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "masks-influence-links",
+    classes: ["masks-influence-links"],
+    tag: "section",
+    window: {
+      title: "Influence Links",
+      icon: "fa-solid fa-link",
+      resizable: true
+    },
+    position: { width: 640, height: 560 },
+    actions: {
+      linkAll: InfluenceLinksApp.#onLinkAll,
+      link: InfluenceLinksApp.#onLink,
+      unlink: InfluenceLinksApp.#onUnlink
+    }
+  };
+
+  static PARTS = {
+    links: {
+      template: `modules/${NS}/templates/influence-links.hbs`,
+      scrollable: [".rows"]
+    }
+  };
+
+  /** Every Influence entry (Characters and NPC lists) with its resolution, review rows first. */
+  static collect() {
+    const rows = [];
+    for (const actor of game.actors?.contents ?? []) {
+      readInfluences(actor).forEach((e, index) => {
+        if (!e?.name && !e?.uuid) return;
+        const target = linkedActor(e);
+        const res = target
+          ? { status: "linked", candidates: [target] }
+          : resolveInfluenceTarget(e.name, actor);
+        rows.push({ actor, index, entry: e, target, ...res });
+      });
+    }
+    return rows.sort((a, b) =>
+      (ORDER[a.status] - ORDER[b.status]) ||
+      a.actor.name.localeCompare(b.actor.name) ||
+      String(a.entry.name).localeCompare(String(b.entry.name)));
+  }
+
+  async _prepareContext() {
+    const rows = InfluenceLinksApp.collect();
+    const everyone = (game.actors?.contents ?? []).slice().sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      counts: {
+        review: rows.filter(r => r.status === "ambiguous" || r.status === "missing").length,
+        unique: rows.filter(r => r.status === "unique").length,
+        linked: rows.filter(r => r.status === "linked").length
+      },
+      rows: rows.map(r => {
+        const pool = r.status === "missing" ? everyone.filter(a => a.id !== r.actor.id) : r.candidates;
+        return {
+          actorId: r.actor.id,
+          actorName: r.actor.name,
+          index: r.index,
+          name: r.entry.name || "—",
+          status: r.status,
+          statusLabel: LABELS[r.status],
+          stale: !!r.entry.uuid && !r.target,
+          target: r.target?.name ?? "",
+          choices: r.status === "linked" ? [] : pool.map(a => ({ uuid: a.uuid, name: a.name, type: a.type }))
+        };
+      }),
+      empty: rows.length === 0
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this._hookId = Hooks.on("masksInfluenceRebuilt", foundry.utils.debounce(() => {
+      if (this.rendered) this.render();
+    }, 100));
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    if (this._hookId != null) Hooks.off("masksInfluenceRebuilt", this._hookId);
+    this._hookId = null;
+  }
+
+  /**
+   * Write uuids onto entries, batched per actor.
+   * @param {Array<{actor: Actor, index: number, name: string, uuid: ?string}>} changes
+   * @returns {Promise<number>} entries changed
+   */
+  static async #write(changes) {
+    const byActor = new Map();
+    for (const c of changes) {
+      if (!byActor.has(c.actor.id)) byActor.set(c.actor.id, { actor: c.actor, list: [] });
+      byActor.get(c.actor.id).list.push(c);
+    }
+
+    let n = 0;
+    for (const { actor, list } of byActor.values()) {
+      const infl = readInfluences(actor);
+      for (const c of list) {
+        const e = infl[c.index];
+        if (!e || e.name !== c.name) continue; // sheet changed under us
+        if (c.uuid) e.uuid = c.uuid;
+        else delete e.uuid;
+        n++;
+      }
+      try {
+        await actor.update({ [influencePath(actor)]: infl });
+      } catch (err) {
+        console.error(`[${NS}] Failed to link Influence on ${actor.name}`, err);
+        ui.notifications?.error?.(`Couldn’t update ${actor.name} (see console).`);
+      }
+    }
+    return n;
+  }
+
+  /** Read the row a button belongs to. */
+  static #row(target) {
+    const li = target.closest("[data-actor-id]");
+    const actor = game.actors?.get(li?.dataset.actorId);
+    if (!actor) return null;
+    const index = Number(li.dataset.index);
+    return { li, actor, index, name: readInfluences(actor)[index]?.name };
+  }
+
+  /** Link every entry that resolves to exactly one actor. */
+  static async #onLinkAll() {
+    if (!game.user?.isGM) return;
+    const rows = InfluenceLinksApp.collect();
+    const ready = rows.filter(r => r.status === "unique");
+    const review = rows.filter(r => r.status === "ambiguous" || r.status === "missing").length;
+    const n = await InfluenceLinksApp.#write(ready.map(r => ({
+      actor: r.actor, index: r.index, name: r.entry.name, uuid: r.candidates[0].uuid
+    })));
+    ui.notifications?.info?.(`Linked ${n} Influence ${n === 1 ? "entry" : "entries"}.` +
+      (review ? ` ${review} still need review.` : ""));
+  }
+
+  /** Link one entry to the actor chosen in its row. */
+  static async #onLink(event, target) {
+    if (!game.user?.isGM) return;
+    const row = InfluenceLinksApp.#row(target);
+    const uuid = row?.li.querySelector("select[name='uuid']")?.value;
+    if (!row || !uuid) return;
+    await InfluenceLinksApp.#write([{ ...row, uuid }]);
+  }
+
+  /** Turn a linked entry back into a plain name entry. */
+  static async #onUnlink(event, target) {
+    if (!game.user?.isGM) return;
+    const row = InfluenceLinksApp.#row(target);
+    if (!row) return;
+    await InfluenceLinksApp.#write([{ ...row, uuid: null }]);
+  }
+}
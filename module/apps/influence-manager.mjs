@@ -0,0 +1,167 @@
+/* global game, foundry, Hooks */
+
+/**
+ * apps/influence-manager.mjs
+ * ---------------------------------------------------------------------------
+ * GM window listing every Influence entry across all Characters and NPC lists.
+ * - Lock/unlock one entry or a selection (mirrors on the other sheet follow).
+ * - Schedule expiry per entry or for a selection (see influence-expiry.mjs).
+ * - Fire triggers by hand: start a new session, or a hero's Moment of Truth.
+ *
+ * Re-renders on every InfluenceIndex rebuild.
+ */
+
+import { NS, readInfluences } from "../helpers/influence.mjs";
+import { EXPIRY_TRIGGERS, influenceOwners, setLocked, setExpiry, expireInfluence } from "../influence-expiry.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const KEY_SESSION_START = "influenceSessionStart";
+
+function symbol(e) {
+  const out = !!e?.haveInfluenceOver;
+  const inn = !!e?.hasInfluenceOver;
+  if (out && inn) return "⬌";
+  if (out) return "⬆";
+  if (inn) return "⬇";
+  return "x";
+}
+
+export class InfluenceManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "masks-influence-manager",
+    classes: ["masks-influence-manager"],
+    tag: "section",
+    window: {
+      title: "Influence Manager",
+      icon: "fa-solid fa-user-lock",
+      resizable: true
+    },
+    position: { width: 680, height: 600 },
+    actions: {
+      toggleLock: InfluenceManagerApp.#onToggleLock,
+      lockSelected: InfluenceManagerApp.#onLockSelected,
+      unlockSelected: InfluenceManagerApp.#onUnlockSelected,
+      expirySelected: InfluenceManagerApp.#onExpirySelected,
+      newSession: InfluenceManagerApp.#onNewSession,
+      momentOfTruth: InfluenceManagerApp.#onMomentOfTruth
+    }
+  };
+
+  static PARTS = {
+    manager: {
+      template: `modules/${NS}/templates/influence-manager.hbs`,
+      scrollable: [".rows"]
+    }
+  };
+
+  /** Singleton opener for the scene-control button. */
+  static open() {
+    this._instance ??= new InfluenceManagerApp();
+    return this._instance.render({ force: true });
+  }
+
+  async _prepareContext() {
+    const rows = [];
+    for (const owner of influenceOwners()) {
+      readInfluences(owner).forEach((e, index) => {
+        if (!e?.name && !e?.uuid) return;
+        rows.push({
+          actorId: owner.id,
+          actorName: owner.name,
+          npc: owner.type !== "character",
+          index,
+          entryId: e.id ?? "",
+          name: e.name || "—",
+          symbol: symbol(e),
+          locked: e.locked === true,
+          expiries: Object.entries(EXPIRY_TRIGGERS).map(([key, label]) => ({ key, label, selected: e.expires === key }))
+        });
+      });
+    }
+    rows.sort((a, b) => a.actorName.localeCompare(b.actorName) || a.name.localeCompare(b.name));
+
+    return {
+      rows,
+      empty: rows.length === 0,
+      expiries: Object.entries(EXPIRY_TRIGGERS).map(([key, label]) => ({ key, label })),
+      heroes: (game.actors?.contents ?? [])
+        .filter(a => a.type === "character")
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(a => ({ id: a.id, name: a.name }))
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    // Per-row expiry select writes immediately
+    this.element.querySelectorAll("select[name='expires']").forEach(sel => {
+      sel.addEventListener("change", (ev) => {
+        const ref = InfluenceManagerApp.#ref(ev.currentTarget);
+        if (ref) setExpiry([ref], ev.currentTarget.value);
+      });
+    });
+    this.element.querySelector("input[name='selectAll']")?.addEventListener("change", (ev) => {
+      const on = ev.currentTarget.checked;
+      this.element.querySelectorAll("input[name='selected']").forEach(cb => { cb.checked = on; });
+    });
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this._hookId = Hooks.on("masksInfluenceRebuilt", foundry.utils.debounce(() => {
+      if (this.rendered) this.render();
+    }, 100));
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    if (this._hookId != null) Hooks.off("masksInfluenceRebuilt", this._hookId);
+    this._hookId = null;
+  }
+
+  /** { owner, entryId, index } for the row containing el. */
+  static #ref(el) {
+    const row = el.closest("[data-actor-id]");
+    const owner = game.actors?.get(row?.dataset.actorId);
+    if (!owner) return null;
+    return { owner, entryId: row.dataset.entryId || null, index: Number(row.dataset.index) };
+  }
+
+  #selected() {
+    return Array.from(this.element.querySelectorAll("input[name='selected']:checked"))
+      .map(cb => InfluenceManagerApp.#ref(cb))
+      .filter(Boolean);
+  }
+
+  static async #onToggleLock(event, target) {
+    const ref = InfluenceManagerApp.#ref(target);
+    if (!ref) return;
+    const locked = target.dataset.locked === "true";
+    await setLocked([ref], !locked);
+  }
+
+  static async #onLockSelected() {
+    await setLocked(this.#selected(), true);
+  }
+
+  static async #onUnlockSelected() {
+    await setLocked(this.#selected(), false);
+  }
+
+  static async #onExpirySelected() {
+    const value = this.element.querySelector("select[name='bulkExpires']")?.value ?? "";
+    await setExpiry(this.#selected(), value);
+  }
+
+  /** New session: moves the Influence session marker, which fires "session" expiry. */
+  static async #onNewSession() {
+    if (!game.user?.isGM) return;
+    await game.settings.set(NS, KEY_SESSION_START, Date.now());
+  }
+
+  static async #onMomentOfTruth() {
+    const actor = game.actors?.get(this.element.querySelector("select[name='hero']")?.value);
+    if (actor) await expireInfluence("momentOfTruth", { actor });
+  }
+}
@@ -0,0 +1,105 @@
+/* global game, foundry, Hooks */
+
+/**
+ * apps/scene-spotlight.mjs
+ * ---------------------------------------------------------------------------
+ * Small HUD for out-of-combat acted marks on the viewed scene.
+ * - One row per tracked hero/token; tick your own (the GM can tick anyone).
+ * - Acted rows drop to the bottom, greyed; "New panel" (GM) clears the marks.
+ *
+ * Writes go through scene-spotlight.mjs. Re-renders when the scene's marks,
+ * its tokens, or the viewed scene change.
+ */
+
+import { NS } from "../helpers/spotlight.mjs";
+import { currentScene, spotlightState, participants, canMark, markActed, newPanel } from "../scene-spotlight.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const WATCH_HOOKS = ["updateScene", "createToken", "deleteToken", "updateToken", "canvasReady", "updateUser"];
+
+export class SceneSpotlightApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "masks-scene-spotlight",
+    classes: ["masks-scene-spotlight"],
+    tag: "section",
+    window: {
+      title: "Scene Spotlight",
+      icon: "fa-solid fa-person-rays",
+      resizable: true
+    },
+    position: { width: 300, height: "auto" },
+    actions: {
+      toggle: SceneSpotlightApp.#onToggle,
+      newPanel: SceneSpotlightApp.#onNewPanel
+    }
+  };
+
+  static PARTS = {
+    hud: {
+      template: `modules/${NS}/templates/scene-spotlight.hbs`,
+      scrollable: [".rows"]
+    }
+  };
+
+  /** Singleton opener for the scene-control button. */
+  static open() {
+    this._instance ??= new SceneSpotlightApp();
+    return this._instance.render({ force: true });
+  }
+
+  /** Re-render the open HUD (settings changes). */
+  static refresh() {
+    if (this._instance?.rendered) this._instance.render();
+  }
+
+  async _prepareContext() {
+    const scene = currentScene();
+    const { round, acted } = spotlightState(scene);
+    const rows = participants(scene).map(p => ({
+      key: p.key,
+      name: p.name,
+      img: p.img,
+      acted: acted[p.key] === round,
+      canMark: canMark(p)
+    }));
+    rows.sort((a, b) => (Number(a.acted) - Number(b.acted)) || a.name.localeCompare(b.name));
+
+    return {
+      scene: scene?.name ?? "",
+      round,
+      rows,
+      remaining: rows.filter(r => !r.acted).length,
+      empty: rows.length === 0,
+      isGM: game.user?.isGM === true
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    const rerender = foundry.utils.debounce(() => {
+      if (this.rendered) this.render();
+    }, 100);
+    this._hookIds = WATCH_HOOKS.map(hook => [hook, Hooks.on(hook, rerender)]);
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this._hookIds ?? []) Hooks.off(hook, id);
+    this._hookIds = null;
+  }
+
+  /** Tick or untick one row. */
+  static async #onToggle(event, target) {
+    const key = target.closest("[data-key]")?.dataset.key;
+    if (!key) return;
+    const scene = currentScene();
+    const { round, acted } = spotlightState(scene);
+    await markActed(scene, key, acted[key] !== round);
+  }
+
+  /** GM: clear the marks and start the next panel. */
+  static async #onNewPanel() {
+    await newPanel(currentScene());
+  }
+}
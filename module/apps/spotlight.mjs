@@ -0,0 +1,117 @@
+/* global game, foundry, Hooks */
+
+/**
+ * apps/spotlight.mjs
+ * ---------------------------------------------------------------------------
+ * GM spotlight panel: who has acted least, in this combat and this session.
+ * - Rows are the viewed combat's combatants (every Character when there is
+ *   no combat), quietest first: fewest rounds acted this combat, then this
+ *   session, then name.
+ * - The quietest non-defeated heroes are highlighted as "Spotlight next".
+ *
+ * Read-only; marks are made in the Combat Tracker (encounter-tracker.mjs).
+ * Re-renders when combatants, the round, or a spotlight log changes.
+ */
+
+import { NS, FLAG_GONE, FLAG_SPOTLIGHT, actedRounds, spotlightActor, spotlightLog, sessionStart } from "../helpers/spotlight.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const WATCH_HOOKS = ["updateCombatant", "createCombatant", "deleteCombatant", "updateCombat", "deleteCombat", "updateActor"];
+
+export class SpotlightApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "masks-spotlight",
+    classes: ["masks-spotlight"],
+    tag: "section",
+    window: {
+      title: "Spotlight",
+      icon: "fa-solid fa-lightbulb",
+      resizable: true
+    },
+    position: { width: 420, height: 480 }
+  };
+
+  static PARTS = {
+    spotlight: {
+      template: `modules/${NS}/templates/spotlight.hbs`,
+      scrollable: [".rows"]
+    }
+  };
+
+  /** Singleton opener for the scene-control button. */
+  static open() {
+    this._instance ??= new SpotlightApp();
+    return this._instance.render({ force: true });
+  }
+
+  async _prepareContext() {
+    const combat = game.combats?.viewed ?? game.combats?.active ?? null;
+    const since = sessionStart();
+    const sessionCount = (actor) => actor ? spotlightLog(actor, since).length : null;
+
+    let rows;
+    if (combat) {
+      rows = combat.combatants.contents.filter(c => game.user?.isGM || c.visible).map(c => {
+        const actor = spotlightActor(c);
+        return {
+          name: c.name,
+          img: c.img,
+          combat: actedRounds(c).length,
+          session: sessionCount(actor),
+          actedNow: Number(c.getFlag(NS, FLAG_GONE)) === Number(combat.round),
+          defeated: c.isDefeated === true,
+          hero: !!actor
+        };
+      });
+    } else {
+      rows = (game.actors?.contents ?? []).filter(a => a.type === "character" && a.hasPlayerOwner).map(a => ({
+        name: a.name,
+        img: a.img,
+        combat: null,
+        session: sessionCount(a),
+        actedNow: false,
+        defeated: false,
+        hero: true
+      }));
+    }
+
+    rows.sort((a, b) =>
+      ((a.combat ?? 0) - (b.combat ?? 0)) ||
+      ((a.session ?? 0) - (b.session ?? 0)) ||
+      a.name.localeCompare(b.name));
+
+    // Quietest heroes still in the fight
+    const eligible = rows.filter(r => r.hero && !r.defeated);
+    if (eligible.length) {
+      const low = eligible[0];
+      for (const r of eligible) r.quiet = (r.combat ?? 0) === (low.combat ?? 0) && (r.session ?? 0) === (low.session ?? 0);
+    }
+
+    return {
+      inCombat: !!combat,
+      round: combat?.round ?? 0,
+      since: since ? new Date(since).toLocaleString() : "the beginning",
+      rows,
+      empty: rows.length === 0
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    const rerender = foundry.utils.debounce(() => {
+      if (this.rendered) this.render();
+    }, 100);
+    this._hookIds = WATCH_HOOKS.map(hook => [hook, Hooks.on(hook, (doc, changes) => {
+      // Actor updates only matter when a spotlight log changed
+      if (hook === "updateActor" && foundry.utils.getProperty(changes ?? {}, `flags.${NS}.${FLAG_SPOTLIGHT}`) === undefined) return;
+      rerender();
+    })]);
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this._hookIds ?? []) Hooks.off(hook, id);
+    this._hookIds = null;
+  }
+}
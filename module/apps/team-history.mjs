@@ -0,0 +1,78 @@
+/* global game, foundry */
+
+/**
+ * apps/team-history.mjs
+ * ---------------------------------------------------------------------------
+ * GM-facing window listing the Team pool ledger (newest first).
+ * - Every row shows who changed Team, by how much, why, when, and where.
+ * - "Revert" appends a compensating entry; the ledger itself is append-only.
+ * - Re-renders live when the Team journal's ledger flag changes.
+ *
+ * The window only reads; all writes go back through the HUD (`hud.revert()`)
+ * so the permission gate and chat announce stay in one place.
+ */
+
+const NS = "masks-newgeneration-extensions";
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class TeamHistoryApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} hud       The MasksTeamHUD singleton (reads ledger, performs reverts)
+   * @param {object} [options] ApplicationV2 options
+   */
+  constructor(hud, options = {}) {
+    super(options);
+    this.hud = hud;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: "masks-team-history",
+    classes: ["masks-team-history"],
+    tag: "section",
+    window: {
+      title: "Team Pool History",
+      icon: "fa-solid fa-clock-rotate-left",
+      resizable: true
+    },
+    position: { width: 560, height: 480 },
+    actions: {
+      revert: TeamHistoryApp.#onRevert
+    }
+  };
+
+  static PARTS = {
+    ledger: {
+      template: `modules/${NS}/templates/team-history.hbs`,
+      scrollable: [".ledger"]
+    }
+  };
+
+  async _prepareContext() {
+    const history = this.hud.history;
+    const revertedIds = new Set(history.map(e => e.revertOf).filter(Boolean));
+    const isGM = game.user?.isGM === true;
+
+    const entries = history.slice().reverse().map(e => {
+      const d = Number(e.delta) || 0;
+      return {
+        ...e,
+        deltaLabel: d > 0 ? `+${d}` : `${d}`,
+        deltaClass: d > 0 ? "gain" : (d < 0 ? "spend" : ""),
+        when: new Date(e.timestamp ?? 0).toLocaleString(),
+        reason: e.reason || "—",
+        scene: e.sceneName || "—",
+        reverted: revertedIds.has(e.id),
+        canRevert: isGM && d !== 0 && !e.revertOf && !revertedIds.has(e.id)
+      };
+    });
+
+    return { entries, team: this.hud.team, label: this.hud._poolLabel(this.hud._teamDoc) };
+  }
+
+  /** Revert one ledger entry by id (GM only). */
+  static async #onRevert(event, target) {
+    const id = target.closest("[data-entry-id]")?.dataset.entryId;
+    if (!id) return;
+    await this.hud.revert(id);
+  }
+}
@@ -3,7 +3,8 @@
  * status-fx.mjs
  * ----------------------------------------------------------------------------
  * Automatic token status icons for Masks conditions (Afraid, Angry, Guilty,
- * Hopeless, Insecure) with robust de‑duplication:
+ * Hopeless, Insecure, plus any the world adds in Settings → Configure
+ * Conditions) with robust de‑duplication:
  *  - Keeps exactly one effect per managed condition.
  *  - Removes any look‑alike/duplicate condition effects that aren't ours.
  *  - Cleans up if an effect was accidentally applied twice.
@@ -12,48 +13,115 @@
  * v13+ only.
  */
 
+import { ConditionsConfigApp } from "./apps/conditions-config.mjs";
+
 const NS = "masks-newgeneration-extensions";
 
-/** Canonical set of conditions we manage + their icons. */
-const MANAGED = Object.freeze({
-	Afraid: {
-		id: `${NS}-afraid`,
+/** Built-in conditions and their canonical icons (the world can relabel, re-icon, disable or add to these). */
+export const DEFAULT_CONDITIONS = Object.freeze([
+	{
+		key: "Afraid",
 		name: "Afraid",
 		img: "modules/masks-newgeneration-unofficial/images/gameicons/shadow-follower-%23ffffff-%233da7db.svg",
 	},
-	Angry: {
-		id: `${NS}-angry`,
+	{
+		key: "Angry",
 		name: "Angry",
 		img: "modules/masks-newgeneration-unofficial/images/gameicons/enrage-%23ffffff-%233da7db.svg",
 	},
-	Guilty: {
-		id: `${NS}-guilty`,
+	{
+		key: "Guilty",
 		name: "Guilty",
 		img: "modules/masks-newgeneration-unofficial/images/gameicons/liar-%23ffffff-%233da7db.svg",
 	},
-	Hopeless: {
-		id: `${NS}-hopeless`,
+	{
+		key: "Hopeless",
 		name: "Hopeless",
 		img: "modules/masks-newgeneration-unofficial/images/gameicons/broken-bone-%23ffffff-%233da7db.svg",
 	},
-	Insecure: {
-		id: `${NS}-insecure`,
+	{
+		key: "Insecure",
 		name: "Insecure",
 		img: "modules/masks-newgeneration-unofficial/images/gameicons/screaming-%23ffffff-%233da7db.svg",
 	},
-});
+]);
+
+export const KEY_CONDITIONS = "conditionConfig";
 
 const FX_FLAG = "autoConditionEffect";
 
 /** Health depends on unique active conditions - this file ensures they're properly managed */
 
-// Lowercase helpers and reverse lookups
-const COND_KEYS = Object.keys(MANAGED);
-const LOWER = Object.fromEntries(COND_KEYS.map((k) => [k, k.toLowerCase()]));
-const ID_TO_KEY = Object.fromEntries(COND_KEYS.map((k) => [MANAGED[k].id, k]));
-const IMG_TO_KEY = Object.fromEntries(
-	COND_KEYS.map((k) => [MANAGED[k].img, k])
-);
+/** Status id for a condition key (built-ins keep their original ids). */
+const conditionId = (key) => `${NS}-${String(key).toLowerCase()}`;
+
+/**
+ * The world's condition list, normalized:
+ * [{ key, name, img, labels: [sheet option labels], enabled, builtin }]
+ * Built-ins missing from the setting are filled in from DEFAULT_CONDITIONS.
+ */
+export function readConditionConfig() {
+	let saved = [];
+	try {
+		saved = game.settings.get(NS, KEY_CONDITIONS);
+	} catch (_) {
+		/* not registered yet */
+	}
+	if (!Array.isArray(saved)) saved = [];
+
+	const out = [];
+	const seen = new Set();
+	const norm = (e, builtin) => {
+		const name = String(e?.name ?? "").trim() || String(e?.key ?? "");
+		const labels = (Array.isArray(e?.labels) ? e.labels : [])
+			.map((l) => String(l).trim())
+			.filter(Boolean);
+		return {
+			key: String(e.key),
+			name,
+			img: String(e?.img ?? "").trim() || "icons/svg/aura.svg",
+			labels: labels.length ? labels : [name],
+			enabled: e?.enabled !== false,
+			builtin,
+		};
+	};
+	for (const def of DEFAULT_CONDITIONS) {
+		const e = saved.find((x) => x?.key === def.key);
+		out.push(norm({ ...def, ...(e ?? {}) }, true));
+		seen.add(def.key);
+	}
+	for (const e of saved) {
+		if (!e?.key || seen.has(e.key)) continue;
+		seen.add(e.key);
+		out.push(norm(e, false));
+	}
+	return out;
+}
+
+// Managed set + lookups; rebuilt whenever the world setting changes
+let MANAGED = {};
+let COND_KEYS = [];
+let MATCH = {}; // key -> lowercase names that mean this condition (name + sheet labels)
+let ID_TO_KEY = {};
+let IMG_TO_KEY = {};
+
+function rebuildManaged() {
+	const list = readConditionConfig().filter((c) => c.enabled);
+	MANAGED = Object.fromEntries(
+		list.map((c) => [c.key, { id: conditionId(c.key), name: c.name, img: c.img }])
+	);
+	COND_KEYS = Object.keys(MANAGED);
+	MATCH = Object.fromEntries(
+		list.map((c) => [
+			c.key,
+			[...new Set([c.name, ...c.labels].map((l) => l.toLowerCase().split("(")[0].trim()))],
+		])
+	);
+	ID_TO_KEY = Object.fromEntries(COND_KEYS.map((k) => [MANAGED[k].id, k]));
+	IMG_TO_KEY = Object.fromEntries(COND_KEYS.map((k) => [MANAGED[k].img, k]));
+}
+
+rebuildManaged();
 
 /* --------------------------------- Writers -------------------------------- */
 
@@ -111,6 +179,7 @@ function didConditionsChange(
 
 /**
  * Extract boolean state for a given condition key ("Afraid", …).
+ * A condition mapped to several sheet labels is active if any of them is marked.
  * Handles both Character and NPC examples:
  * system.attributes.conditions.options.{0,1,...} = { label, value }
  */
@@ -121,20 +190,21 @@ function getConditionState(actor, condKey) {
 	);
 	if (!opts || typeof opts !== "object") return false;
 
-	const want = LOWER[condKey];
+	const want = MATCH[condKey] ?? [];
+	let active = false;
 	for (const ent of Object.values(opts)) {
 		const raw = String(ent?.label ?? "")
 			.toLowerCase()
 			.trim();
 		const base = raw.split("(")[0].trim(); // strip "(-2 …)" suffixes
-		if (base === want) return !!ent?.value;
+		if (want.includes(base)) active ||= !!ent?.value;
 	}
-	return false;
+	return active;
 }
 
 /* ------------------------------ Classification ---------------------------- */
 
-/** Try to map an ActiveEffect to one of our 5 condition keys. */
+/** Try to map an ActiveEffect to one of our managed condition keys. */
 function classifyEffectToConditionKey(eff) {
 	if (!eff) return null;
 
@@ -151,14 +221,14 @@ function classifyEffectToConditionKey(eff) {
 		.toLowerCase()
 		.trim();
 	for (const k of COND_KEYS) {
-		if (name === LOWER[k] || name.startsWith(`${LOWER[k]} `)) return k;
+		if (MATCH[k].some((m) => name === m || name.startsWith(`${m} `))) return k;
 	}
 
 	// 3) If any free-form statuses look like condition names ("afraid","angry",…)
 	if (Array.isArray(eff.statuses)) {
 		const lowers = eff.statuses.map((s) => String(s).toLowerCase());
 		for (const k of COND_KEYS) {
-			if (lowers.includes(LOWER[k]) || lowers.includes(`condition-${LOWER[k]}`))
+			if (MATCH[k].some((m) => lowers.includes(m) || lowers.includes(`condition-${m}`)))
 				return k;
 		}
 	}
@@ -197,8 +267,9 @@ function readCurrentManagedByStatus(actor) {
 
 /**
  * Remove duplicates and clear any non-canonical condition effects:
- *  - For each of the 5 conditions, keep at most 1 effect (prefer ours).
+ *  - For each managed condition, keep at most 1 effect (prefer ours).
  *  - Delete any OTHER effects that appear to represent one of those conditions.
+ *  - Delete our own effects for conditions no longer managed.
  * Returns array of promises to await (deletions only).
  */
 function buildDedupDeletes(actor) {
@@ -214,7 +285,11 @@ function buildDedupDeletes(actor) {
 
 	for (const eff of actor.effects) {
 		const key = classifyEffectToConditionKey(eff);
-		if (!key) continue; // not one of our 5 conditions; leave it alone entirely
+		if (!key) {
+			// Ours, but its condition was removed or disabled in the world config
+			if (eff.getFlag(NS, FX_FLAG) === true) toDelete.push(eff.id);
+			continue; // not one of our conditions; leave it alone entirely
+		}
 		(isOurEffect(eff) ? buckets[key].ours : buckets[key].others).push(eff);
 	}
 
@@ -316,8 +391,43 @@ function queueSync(actor, delay = 30) {
 	_pending.set(id, tid);
 }
 
+/** Queue a sync for every world actor and every token actor on the canvas. */
+function sweepAll() {
+	// Choose a representative actor set:
+	const candidates = new Set();
+	for (const a of game.actors?.contents ?? []) candidates.add(a);
+	for (const t of canvas.tokens?.placeables ?? [])
+		if (t?.actor) candidates.add(t.actor);
+	for (const a of candidates) queueSync(a, 1);
+}
+
 /* --------------------------------- Hooks ---------------------------------- */
 
+Hooks.once("init", () => {
+	game.settings.register(NS, KEY_CONDITIONS, {
+		name: "Managed conditions",
+		scope: "world",
+		config: false,
+		type: Array,
+		default: [],
+		onChange: () => {
+			rebuildManaged();
+			if (game.ready) sweepAll();
+		},
+	});
+
+	game.settings.registerMenu(NS, "conditionsMenu", {
+		name: "Conditions",
+		label: "Configure Conditions",
+		hint: "Choose the label and token icon for each condition, map them to sheet options, or add homebrew conditions.",
+		icon: "fa-solid fa-face-frown",
+		type: ConditionsConfigApp,
+		restricted: true,
+	});
+});
+
+Hooks.once("ready", () => rebuildManaged());
+
 Hooks.once("ready", () => {
 	// Live sheet edits (Characters & NPCs; linked or synthetic)
 	Hooks.on("updateActor", (actor, changes) => {
@@ -331,14 +441,7 @@ Hooks.once("ready", () => {
 	});
 
 	// Initial sweep: only a single elected writer performs it
-	const doInitial = () => {
-		// Choose a representative actor set:
-		const candidates = new Set();
-		for (const a of game.actors?.contents ?? []) candidates.add(a);
-		for (const t of canvas.tokens?.placeables ?? [])
-			if (t?.actor) candidates.add(t.actor);
-		for (const a of candidates) queueSync(a, 1);
-	};
+	const doInitial = () => sweepAll();
 
 	// Run once when ready
 	doInitial();
@@ -1,4 +1,4 @@
-/* global game, ui, Hooks, foundry */
+/* global game, ui, Hooks, foundry, ChatMessage, CONST */
 
 /**
  * pbta-round-acted.mjs
@@ -7,19 +7,57 @@
  *
  * - Hover a combatant row to reveal a Font Awesome checkbox near the avatar.
  * - Clicking toggles a per-combatant flag for the *current* round.
- * - Marked combatants get the native "hide" class applied (row disappears).
+ * - Marked combatants are hidden (native "hide" class, with an "Acted:" strip
+ *   of unmark chips under the list), dimmed, dimmed and moved to the bottom,
+ *   or gathered in a collapsible "Acted" section — a client setting.
  * - Marks are round-scoped: when the combat round advances, rows reappear.
+ * - Optional (world setting): once everyone still in the fight has acted, the
+ *   round advances by itself with a "New panel" chat card.
  * - Works for GMs and players; players without permission GM‑relay the change.
+ * - Raise a hand ("I want to act") on your own row; raised hands queue at the
+ *   top of the tracker in the order raised. The GM's "give spotlight" makes
+ *   that combatant active, and when the GM clicks Done (or gives the
+ *   spotlight to someone else) they are marked acted.
+ * - Every mark is also kept in a per-combatant round log and, for Characters,
+ *   a per-actor spotlight log; the Spotlight panel (GM token tool) shows who
+ *   has acted least this combat and this session.
  *
- * Storage:
- *   flags[masks-newgeneration-extensions].pbtaGoneRound = <roundNumber>
+ * Storage (see helpers/spotlight.mjs):
+ *   flags[masks-newgeneration-extensions].pbtaGoneRound   = <roundNumber>
+ *   flags[masks-newgeneration-extensions].pbtaActedRounds = [roundNumber, …]
+ *   flags[masks-newgeneration-extensions].pbtaHandRaised  = <timestamp>
+ *   combat flags[masks-newgeneration-extensions].pbtaSpotlightHolder = <combatantId>
+ *   actor flags[masks-newgeneration-extensions].spotlightLog
  */
 
+import {
+  NS,
+  FLAG_GONE,
+  FLAG_ROUNDS,
+  actedRounds,
+  spotlightActor,
+  recordSpotlight
+} from "./helpers/spotlight.mjs";
+import { SpotlightApp } from "./apps/spotlight.mjs";
+
 (() => {
-  const NS        = "masks-newgeneration-extensions";
   const SOCKET_NS = "module.masks-newgeneration-extensions";
-  const FLAG_GONE = "pbtaGoneRound";
   const BTN_CLASS = "pbta-gone-toggle";
+  const HAND_CLASS = "pbta-hand-toggle";
+  const FLAG_HAND = "pbtaHandRaised";        // combatant: timestamp the hand went up
+  const FLAG_HOLDER = "pbtaSpotlightHolder"; // combat: combatant id given the spotlight
+  const KEY_AUTO_ADVANCE = "actedAutoAdvance";
+  const KEY_DISPLAY = "actedDisplayMode";
+  const KEY_COLLAPSED = "actedSectionCollapsed";
+  const DISPLAY_MODES = {
+    hide: "Hide (acted list at the bottom)",
+    dim: "Dim in place",
+    bottom: "Dim and move to the bottom",
+    section: "Separate \"Acted\" section"
+  };
+
+  /** Combats currently advancing, so overlapping updates don't skip a round. */
+  const advancing = new Set();
 
   /** Track in-flight writes to prevent rapid double-toggles. */
   const pending = new Set(); // combatantId strings
@@ -41,18 +79,59 @@
 
   async function persistMark(cbt, round, gone) {
     if (!cbt) return false;
+    const r = Number(round);
+    const rounds = new Set(actedRounds(cbt));
+    if (gone) rounds.add(r);
+    else rounds.delete(r);
     try {
-      if (gone) {
-        await cbt.setFlag(NS, FLAG_GONE, Number(round));
-      } else {
-        await cbt.unsetFlag(NS, FLAG_GONE);
-      }
-      return true;
+      await cbt.update({
+        [`flags.${NS}.${gone ? FLAG_GONE : `-=${FLAG_GONE}`}`]: gone ? r : null,
+        [`flags.${NS}.${FLAG_ROUNDS}`]: [...rounds].sort((a, b) => a - b)
+      });
     } catch (err) {
       console.error(`[${NS}] Failed to toggle acted mark for ${cbt.name}`, err);
       ui.notifications?.error?.("Couldn’t update acted mark (see console).");
       return false;
     }
+    await recordSpotlight(spotlightActor(cbt), { combatId: cbt.parent?.id ?? null }, r, gone);
+    return true;
+  }
+
+  function primaryGMId() {
+    const gms = (game.users?.contents ?? []).filter(u => u?.isGM && u?.active);
+    gms.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+    return gms[0]?.id ?? null;
+  }
+
+  /**
+   * Primary GM: when every active (not defeated, not hidden) combatant is
+   * marked for this round, start the next round, clear the marks and post a
+   * "New panel" card.
+   */
+  async function maybeAdvance(combat) {
+    if (!combat?.started || game.user?.id !== primaryGMId()) return;
+    if (!game.settings.get(NS, KEY_AUTO_ADVANCE) || advancing.has(combat.id)) return;
+
+    const active = combat.combatants.contents.filter(c => !c.isDefeated && !c.hidden);
+    if (!active.length || !active.every(c => isGoneThisRound(c, combat.round))) return;
+
+    advancing.add(combat.id);
+    try {
+      const finished = combat.round;
+      await combat.nextRound();
+      const marked = combat.combatants.contents.filter(c => c.getFlag(NS, FLAG_GONE) !== undefined);
+      if (marked.length) {
+        await combat.updateEmbeddedDocuments("Combatant", marked.map(c => ({ _id: c.id, [`flags.${NS}.-=${FLAG_GONE}`]: null })));
+      }
+      await ChatMessage.create({
+        content: `<h6><i class="fa-solid fa-book-open"></i> New panel</h6>Everyone has acted in round ${finished}. Round ${combat.round} begins.`,
+        type: CONST.CHAT_MESSAGE_TYPES.OTHER
+      });
+    } catch (err) {
+      console.error(`[${NS}] Failed to advance the round`, err);
+    } finally {
+      advancing.delete(combat.id);
+    }
   }
 
   function requestGMMark({ combatId, combatantId, round, gone }) {
@@ -66,10 +145,16 @@
     }
   }
 
-  function updateRowUI(li, cbt, goneNow) {
+  function displayMode() {
+    const mode = game.settings.get(NS, KEY_DISPLAY);
+    return mode in DISPLAY_MODES ? mode : "hide";
+  }
+
+  function updateRowUI(li, cbt, goneNow, mode = displayMode()) {
     // Maintain Foundry's "hide" usage. Also preserve real token hidden state.
     const trulyHidden = !!cbt?.hidden;
-    li.classList.toggle("hide", !!goneNow || trulyHidden);
+    li.classList.toggle("hide", (mode === "hide" && !!goneNow) || trulyHidden);
+    li.classList.toggle("pbta-acted", !!goneNow && mode !== "hide");
     // Update the button icon + tooltip for current state.
     const btn = li.querySelector(`.${BTN_CLASS}`);
     if (btn) {
@@ -84,6 +169,170 @@
     }
   }
 
+  /**
+   * Place acted rows for the display mode. Every mode keeps an unmark control
+   * in reach: hidden rows get a chip in a strip under the list.
+   */
+  function arrangeActed(root, combat, mode) {
+    const list = root.querySelector?.("li.combatant[data-combatant-id]")?.parentElement;
+    if (!list) return;
+    list.querySelectorAll(":scope > .pbta-acted-strip, :scope > .pbta-acted-header").forEach(el => el.remove());
+
+    const acted = [...list.querySelectorAll(":scope > li.combatant[data-combatant-id]")].filter(li => {
+      const cbt = combat.combatants?.get?.(li.dataset.combatantId);
+      return cbt && isGoneThisRound(cbt, combat.round) && !(cbt.hidden && !game.user?.isGM);
+    });
+    if (!acted.length || mode === "dim") return;
+
+    if (mode === "hide") {
+      const strip = document.createElement("li");
+      strip.className = "pbta-acted-strip";
+      strip.append(Object.assign(document.createElement("span"), { className: "label", textContent: "Acted:" }));
+      for (const li of acted) {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "pbta-acted-chip";
+        chip.dataset.action = "pbtaMarkGone";
+        chip.dataset.combatantId = li.dataset.combatantId;
+        chip.innerHTML = `<i class="fa-solid fa-square-check"></i> ${foundry.utils.escapeHTML(combat.combatants.get(li.dataset.combatantId)?.name ?? "?")}`;
+        chip.setAttribute("data-tooltip", "Unmark (acted this round)");
+        strip.append(chip);
+      }
+      list.append(strip);
+      return;
+    }
+
+    if (mode === "section") {
+      const collapsed = game.settings.get(NS, KEY_COLLAPSED) === true;
+      const header = document.createElement("li");
+      header.className = "pbta-acted-header";
+      header.dataset.action = "pbtaToggleActed";
+      header.innerHTML = `<i class="fa-solid ${collapsed ? "fa-caret-right" : "fa-caret-down"}"></i> Acted this round (${acted.length})`;
+      list.append(header);
+      for (const li of acted) li.classList.toggle("pbta-acted-collapsed", collapsed);
+    }
+    // "bottom" and "section": move the rows after everyone still to act
+    for (const li of acted) list.append(li);
+  }
+
+  /* ---------------------------- Raised hands ----------------------------- */
+
+  /** Combatants with a raised hand, first raised first. */
+  function handQueue(combat) {
+    return combat.combatants.contents
+      .filter(c => Number.isFinite(Number(c.getFlag(NS, FLAG_HAND))) && !(c.hidden && !game.user?.isGM))
+      .sort((a, b) => Number(a.getFlag(NS, FLAG_HAND)) - Number(b.getFlag(NS, FLAG_HAND)));
+  }
+
+  /**
+   * Raise or lower a hand. The primary GM writes it, so every hand is stamped
+   * by one clock; others relay (a direct write only when no GM is online).
+   */
+  async function setHand(cbt, raised) {
+    const gm = primaryGMId();
+    if (gm && gm !== game.user?.id) {
+      try {
+        game.socket?.emit(SOCKET_NS, { action: "pbtaRaiseHand", combatId: cbt.parent?.id, combatantId: cbt.id, raised: !!raised, userId: game.user?.id });
+      } catch (err) {
+        console.warn(`[${NS}] Socket emit failed; cannot relay raised hand.`, err);
+      }
+      return;
+    }
+    if (!canEditCombatant(cbt)) {
+      ui.notifications?.warn?.("A GM must be online to raise or lower that hand.");
+      return;
+    }
+    try {
+      await cbt.update({ [`flags.${NS}.${raised ? FLAG_HAND : `-=${FLAG_HAND}`}`]: raised ? Date.now() : null });
+    } catch (err) {
+      console.error(`[${NS}] Failed to update raised hand for ${cbt.name}`, err);
+    }
+  }
+
+  /** GM: the current spotlight holder is done — mark them acted. */
+  async function finishSpotlight(combat) {
+    const cbt = combat.combatants.get(combat.getFlag(NS, FLAG_HOLDER) ?? "");
+    if (cbt && !isGoneThisRound(cbt, combat.round)) await persistMark(cbt, combat.round, true);
+    await combat.unsetFlag(NS, FLAG_HOLDER);
+  }
+
+  /** GM: hand the spotlight to a combatant (lowers their hand, makes them active). */
+  async function giveSpotlight(combat, cbt) {
+    const holder = combat.getFlag(NS, FLAG_HOLDER);
+    if (holder && holder !== cbt.id) await finishSpotlight(combat);
+    if (cbt.getFlag(NS, FLAG_HAND) !== undefined) await cbt.update({ [`flags.${NS}.-=${FLAG_HAND}`]: null });
+    const update = { [`flags.${NS}.${FLAG_HOLDER}`]: cbt.id };
+    const turn = combat.turns.findIndex(t => t.id === cbt.id);
+    if (combat.started && turn >= 0) update.turn = turn;
+    await combat.update(update);
+  }
+
+  /** "Spotlight" and "Hands up" strip above the combatant list. */
+  function renderHandQueue(root, combat) {
+    const list = root.querySelector?.("li.combatant[data-combatant-id]")?.parentElement;
+    if (!list) return;
+    list.querySelector(":scope > .pbta-hand-queue")?.remove();
+
+    const esc = foundry.utils.escapeHTML;
+    const isGM = game.user?.isGM === true;
+    const holder = combat.combatants.get(combat.getFlag(NS, FLAG_HOLDER) ?? "");
+    const queue = handQueue(combat);
+    if (!holder && !queue.length) return;
+
+    let html = "";
+    if (holder) {
+      html += `<div class="holder" data-combatant-id="${holder.id}"><i class="fa-solid fa-lightbulb"></i> Spotlight: <b>${esc(holder.name)}</b>`;
+      if (isGM) html += ` <button type="button" data-action="pbtaSpotlightDone" data-tooltip="Done — mark acted"><i class="fa-solid fa-check"></i> Done</button>`;
+      html += `</div>`;
+    }
+    if (queue.length) {
+      html += `<ol class="queue">` + queue.map(c => {
+        let row = `<li data-combatant-id="${c.id}"><i class="fa-solid fa-hand"></i> ${esc(c.name)}`;
+        if (isGM) {
+          row += ` <button type="button" data-action="pbtaGiveSpotlight" data-tooltip="Give spotlight"><i class="fa-solid fa-play"></i></button>` +
+            `<button type="button" data-action="pbtaLowerHand" data-tooltip="Lower hand"><i class="fa-solid fa-xmark"></i></button>`;
+        }
+        return `${row}</li>`;
+      }).join("") + `</ol>`;
+    }
+
+    const strip = document.createElement("li");
+    strip.className = "pbta-hand-queue";
+    strip.innerHTML = html;
+    list.prepend(strip);
+  }
+
+  /** Delegated clicks for the hand buttons and the queue strip. */
+  async function onHandClick(ev, app) {
+    const btn = ev.target?.closest?.("[data-action='pbtaRaiseHand'], [data-action='pbtaGiveSpotlight'], [data-action='pbtaLowerHand'], [data-action='pbtaSpotlightDone']");
+    if (!btn) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    ev.stopImmediatePropagation();
+
+    const combat = currentCombat(app);
+    const cbt = combat?.combatants?.get?.(btn.closest("[data-combatant-id]")?.dataset.combatantId ?? "");
+    if (!combat) return;
+    try {
+      switch (btn.dataset.action) {
+        case "pbtaRaiseHand":
+          if (cbt) await setHand(cbt, !Number.isFinite(Number(cbt.getFlag(NS, FLAG_HAND))));
+          break;
+        case "pbtaLowerHand":
+          if (cbt) await setHand(cbt, false);
+          break;
+        case "pbtaGiveSpotlight":
+          if (cbt && game.user?.isGM) await giveSpotlight(combat, cbt);
+          break;
+        case "pbtaSpotlightDone":
+          if (game.user?.isGM) await finishSpotlight(combat);
+          break;
+      }
+    } catch (err) {
+      console.error(`[${NS}] Raised-hand action failed`, err);
+    }
+  }
+
   /* -------------------------- DOM Decoration ----------------------------- */
 
   function ensureButtons(app, htmlRoot) {
@@ -93,6 +342,7 @@
     const combat = currentCombat(app);
     if (!combat) return;
 
+    const mode = displayMode();
     const items = root.querySelectorAll?.("li.combatant[data-combatant-id]") ?? [];
     for (const li of items) {
       const id = li.dataset.combatantId;
@@ -113,9 +363,38 @@
         else li.insertAdjacentElement("afterbegin", btn);
       }
 
+      // Raise-hand button for owners (GM sees everyone's state)
+      let hand = li.querySelector(`.${HAND_CLASS}`);
+      if (!hand && canEditCombatant(cbt)) {
+        hand = document.createElement("button");
+        hand.type = "button";
+        hand.dataset.action = "pbtaRaiseHand";
+        hand.className = `inline-control combatant-control icon ${HAND_CLASS}`;
+        const controls = li.querySelector(".combatant-controls");
+        if (controls) controls.prepend(hand);
+        else li.append(hand);
+      }
+      if (hand) {
+        const raised = Number.isFinite(Number(cbt.getFlag(NS, FLAG_HAND)));
+        hand.classList.toggle("raised", raised);
+        hand.classList.toggle("fa-solid", raised);
+        hand.classList.toggle("fa-regular", !raised);
+        hand.classList.add("fa-hand");
+        const ttl = raised ? "Lower hand" : "I want to act";
+        hand.setAttribute("aria-label", ttl);
+        hand.setAttribute("data-tooltip", ttl);
+      }
+
       // Refresh icon + hide class for the current round.
       const gone = isGoneThisRound(cbt, combat.round);
-      updateRowUI(li, cbt, gone);
+      updateRowUI(li, cbt, gone, mode);
+    }
+    arrangeActed(root, combat, mode);
+    renderHandQueue(root, combat);
+
+    if (!root.dataset.pbtaHandBound) {
+      root.addEventListener("click", (ev) => onHandClick(ev, app), { capture: true });
+      root.dataset.pbtaHandBound = "1";
     }
 
     // Attach a single delegated click handler per render root.
@@ -123,13 +402,19 @@
       root.addEventListener("click", async (ev) => {
         const target = ev.target;
         if (!(target instanceof HTMLElement)) return;
+        if (target.closest?.("[data-action='pbtaToggleActed']")) {
+          ev.preventDefault();
+          ev.stopPropagation();
+          await game.settings.set(NS, KEY_COLLAPSED, game.settings.get(NS, KEY_COLLAPSED) !== true);
+          return;
+        }
         if (target.dataset.action !== "pbtaMarkGone") return;
 
         ev.preventDefault();
         ev.stopPropagation();
         ev.stopImmediatePropagation();
 
-        const li = target.closest?.("li.combatant[data-combatant-id]");
+        const li = target.closest?.("[data-combatant-id]"); // row, or a chip in the acted strip
         const tracker = root.closest?.("#combat") ?? root;
         const appInst = app; // use the one passed to render hook
 
@@ -175,6 +460,12 @@
     // GM socket: perform writes when relayed by players w/o permission.
     try {
       game.socket?.on(SOCKET_NS, async (data) => {
+        if (data?.action === "pbtaRaiseHand" && game.user?.id === primaryGMId()) {
+          const cbt = game.combats?.get?.(data.combatId)?.combatants?.get?.(data.combatantId);
+          const user = game.users?.get(data.userId);
+          if (cbt && user && cbt.testUserPermission(user, "OWNER")) await setHand(cbt, !!data.raised);
+          return;
+        }
         if (!data || data.action !== "pbtaMarkGone") return;
         if (!game.user?.isGM) return;
 
@@ -198,9 +489,15 @@
 
   Hooks.on("updateCombatant", (doc, changes) => {
     // If our flag or visibility changed, refresh.
-    const flagChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_GONE}`) !== undefined;
+    const flagChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_GONE}`) !== undefined ||
+      foundry.utils.getProperty(changes, `flags.${NS}.-=${FLAG_GONE}`) !== undefined;
+    const handChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_HAND}`) !== undefined ||
+      foundry.utils.getProperty(changes, `flags.${NS}.-=${FLAG_HAND}`) !== undefined;
+    if (handChanged) ui.combat?.render?.(false);
     const hiddenChanged = Object.prototype.hasOwnProperty.call(changes, "hidden");
     if (flagChanged || hiddenChanged) ui.combat?.render?.(false);
+    // A new mark, a hidden row or a defeat may complete the round
+    if (flagChanged || hiddenChanged || Object.prototype.hasOwnProperty.call(changes, "defeated")) maybeAdvance(doc.parent);
     // Clear any pending lock for this id.
     try {
       pending.delete(doc.id);
@@ -210,12 +507,60 @@
 
   Hooks.on("updateCombat", (doc, changes) => {
     // New round ⇒ recompute acted state ⇒ rows unhide naturally.
-    if (Object.prototype.hasOwnProperty.call(changes, "round")) {
+    const holderChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_HOLDER}`) !== undefined ||
+      foundry.utils.getProperty(changes, `flags.${NS}.-=${FLAG_HOLDER}`) !== undefined;
+    if (Object.prototype.hasOwnProperty.call(changes, "round") || holderChanged) {
       ui.combat?.render?.(false);
     }
   });
 
+  Hooks.on("deleteCombatant", (doc) => maybeAdvance(doc.parent));
+
+  Hooks.once("init", () => {
+    game.settings.register(NS, KEY_DISPLAY, {
+      name: "Acted combatants",
+      hint: "How rows marked \"acted this round\" appear in the Combat Tracker. Every mode keeps a way to unmark them.",
+      scope: "client",
+      config: true,
+      type: String,
+      choices: DISPLAY_MODES,
+      default: "hide",
+      onChange: () => ui.combat?.render?.(false)
+    });
+
+    game.settings.register(NS, KEY_COLLAPSED, {
+      name: "Acted section collapsed",
+      scope: "client",
+      config: false,
+      type: Boolean,
+      default: false,
+      onChange: () => ui.combat?.render?.(false)
+    });
+
+    game.settings.register(NS, KEY_AUTO_ADVANCE, {
+      name: "Advance the round when everyone has acted",
+      hint: "Once every combatant that isn't defeated or hidden (or everyone in the Scene Spotlight) is marked as acted, start the next round and post a \"New panel\" card to chat.",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false
+    });
+  });
+
   // Keep UI consistent when the active combat changes.
   Hooks.on("deleteCombat", () => ui.combat?.render?.(false));
   Hooks.on("createCombat", () => ui.combat?.render?.(false));
+  // GM: who has acted least (this combat / this session)
+  Hooks.on("getSceneControlButtons", (controls) => {
+    if (!controls?.tokens?.tools) return;
+    controls.tokens.tools.spotlight = {
+      layer: "tokens",
+      name: "spotlight",
+      title: "Spotlight",
+      icon: "fa-solid fa-lightbulb",
+      button: true,
+      onClick: () => SpotlightApp.open(),
+      visible: game.user?.isGM === true
+    };
+  });
 })();
@@ -0,0 +1,150 @@
+/* global game, canvas, Hooks, foundry, ChatMessage */
+
+/**
+ * forward-rolls.mjs
+ * ----------------------------------------------------------------------------
+ * Forward is spent on the hero's next roll.
+ *
+ * - Roll dialog (moves with a situational bonus): a "Use +N Forward" checkbox,
+ *   checked by default, is folded into the bonus when the dialog submits.
+ *   Unchecking it keeps Forward for a later roll.
+ * - Forward only goes in through the dialog, before the roll is evaluated,
+ *   so the total and the PbtA result tier always include it. Rolls without a
+ *   dialog keep their Forward (the card says so).
+ * - Every Character move roll is flagged: flags[NS].forward = { used } when
+ *   the dialog added Forward, else { optOut }. advantage.mjs settles only
+ *   flagged rolls: it spends what was used and drops "next roll" grants of
+ *   anything not held back. Unflagged messages never touch Forward.
+ *
+ * Only 2d6 move rolls from a Character count. World setting: forwardAutoConsume.
+ */
+
+const NS = "masks-newgeneration-extensions";
+const KEY_ENABLED = "forwardAutoConsume";
+const PATH_FORWARD = "system.resources.forward.value";
+const PENDING_TTL = 15000; // ms between dialog submit and the chat card
+
+/** Dialog decision waiting for this user's next roll card. */
+let pending = null;
+
+const forwardOf = (actor) => Math.max(0, Math.floor(Number(foundry.utils.getProperty(actor, PATH_FORWARD)) || 0));
+
+/** World actor behind a (possibly synthetic) actor. */
+function baseActor(actor) {
+  return actor?.isToken ? (game.actors?.get(actor.token?.actorId) ?? actor) : actor;
+}
+
+/** Roller for this user (quiet; no prompts): single controlled token, else User Character. */
+function resolveRoller() {
+  const controlled = canvas.tokens?.controlled ?? [];
+  if (controlled.length === 1 && controlled[0]?.actor) return baseActor(controlled[0].actor);
+  return game.user?.character ?? null;
+}
+
+/** A PbtA move roll (2d6 + stat …). Shared with advantage.mjs's roll settling. */
+export function isMoveRoll(message) {
+  return (message.rolls ?? []).some(r => /^\s*2d6/i.test(String(r?.formula ?? "")));
+}
+
+/** Add n to the situational bonus (number field or formula text). */
+function addToBonus(input, n) {
+  if (!n) return;
+  const v = String(input.value ?? "").trim();
+  if (input.type === "number") input.value = String((Number(v) || 0) + n);
+  else if (!v) input.value = String(n);
+  else input.value = `${v} + ${n}`;
+}
+
+function injectField(root, actor, amount) {
+  const bonus = root.querySelector("input[name='bonus']");
+  if (!bonus || root.querySelector(".masks-forward-roll")) return;
+
+  const box = document.createElement("fieldset");
+  box.className = "masks-forward-roll";
+  box.innerHTML = `
+    <legend><i class="fa-solid fa-forward"></i> Forward</legend>
+    <label class="checkbox">
+      <input type="checkbox" name="masksUseForward" checked />
+      Use +${amount} Forward on this roll
+    </label>`;
+  (bonus.closest(".form-group") ?? bonus).after(box);
+
+  // Fold the choice into the bonus right before the dialog reads its form
+  let applied = false;
+  const apply = () => {
+    if (applied) return;
+    applied = true;
+    const use = root.querySelector("input[name='masksUseForward']")?.checked === true;
+    if (use) addToBonus(bonus, amount);
+    pending = { actorId: actor.id, used: use ? amount : 0, optOut: !use, at: Date.now() };
+  };
+  root.addEventListener("click", (ev) => {
+    const btn = ev.target.closest?.("button");
+    if (!btn || btn.dataset.button === "cancel" || btn.dataset.action === "close" || btn.dataset.action === "cancel") return;
+    apply();
+  }, true);
+  root.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter" && ev.target?.tagName !== "TEXTAREA") apply();
+  }, true);
+}
+
+function onRenderDialog(app, html) {
+  if (!game.settings.get(NS, KEY_ENABLED)) return;
+  const root = html?.[0] ?? html ?? app?.element;
+  if (!root?.querySelector?.("input[name='bonus']")) return;
+  const actor = resolveRoller();
+  if (actor?.type !== "character") return;
+  const amount = forwardOf(actor);
+  if (amount > 0) injectField(root, actor, amount);
+}
+
+Hooks.on("renderDialog", onRenderDialog);
+Hooks.on("renderDialogV2", onRenderDialog);
+
+Hooks.on("preCreateChatMessage", (message) => {
+  if (!message.rolls?.length || !isMoveRoll(message)) return;
+  if (message.author?.id && message.author.id !== game.user?.id) return;
+  if (!game.settings.get(NS, KEY_ENABLED)) return;
+
+  const actor = baseActor(ChatMessage.getSpeakerActor(message.speaker));
+  if (actor?.type !== "character") return;
+
+  // Dialog decision for this actor, if fresh
+  const p = pending?.actorId === actor.id && Date.now() - pending.at <= PENDING_TTL ? pending : null;
+  pending = null;
+
+  // No dialog: the roll is already evaluated, so keep Forward for a later roll
+  if (!p) {
+    const held = forwardOf(actor);
+    if (!held) {
+      message.updateSource({ [`flags.${NS}.forward`]: { optOut: true } });
+      return;
+    }
+    message.updateSource({
+      [`flags.${NS}.forward`]: { optOut: true },
+      content: `${message.content ?? ""}<div class="masks-forward-note"><i class="fa-solid fa-forward"></i> +${held} Forward kept (this roll had no bonus to add it to)</div>`
+    });
+    return;
+  }
+
+  if (p.optOut || !p.used) {
+    message.updateSource({ [`flags.${NS}.forward`]: { optOut: true } });
+    return;
+  }
+
+  message.updateSource({
+    [`flags.${NS}.forward`]: { used: p.used },
+    content: `${message.content ?? ""}<div class="masks-forward-note"><i class="fa-solid fa-forward"></i> +${p.used} Forward consumed</div>`
+  });
+});
+
+Hooks.once("init", () => {
+  game.settings.register(NS, KEY_ENABLED, {
+    name: "Spend Forward on the next roll",
+    hint: "Add a hero's Forward to their next move roll through the roll dialog and clear it afterwards. Untick the dialog's checkbox to keep it for later.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+});
@@ -1,4 +1,4 @@
-/* global game, canvas, foundry, Hooks, CONST */
+/* global game, canvas, foundry, Hooks, CONST, fromUuidSync */
 
 /**
  * helpers/influence.mjs
@@ -6,23 +6,33 @@
  * Global Influence utilities + index builder + (optional) sheet symmetry sync.
  *
  * Goals:
- *  - Keep fuzzy matching identical everywhere.
+ *  - Prefer exact identity: entries may carry the target actor's `uuid`.
+ *  - Keep fuzzy matching identical everywhere for legacy (name-only) entries.
  *  - Build a single global hash of connections derived from character flags.
- *  - Allow querying "does A have influence over B?" using only token/actor names.
+ *  - Allow querying "does A have influence over B?" for tokens and actors.
  *  - (Optional) Keep character↔character influences symmetric on sheet flags.
  *
  * Performance:
- *  - The index scans only Character actors (not NPCs) and only when flags or
+ *  - The index scans Character actors plus NPCs that own an Influence list
+ *    (module flags, see influencePath()) and only when flags or
  *    relevant names change (or canvas changes). It stores a compact Map:
  *       edges: Map<fromKeyNormalized, Set<toKeyNormalized>>
- *    where keys are normalized names (see normalize()).
- *  - Token name lookups are done against this map with substring tests.
- *    Typical influence counts are small, so this is very fast in practice.
+ *    where keys are normalized names (see normalize()), plus
+ *       links: Map<fromActorUuid, Set<toActorUuid>>
+ *    for entries that carry a resolvable `uuid`.
+ *  - Linked entries match by identity only. Legacy entries fall back to the
+ *    name map with substring tests (see resolveInfluenceTarget() and the
+ *    Influence Links window for upgrading them).
  */
 
 export const NS = "masks-newgeneration-extensions";
 const FLAG_PATH = "flags.masks-newgeneration-unofficial.influences";
 
+/** Shared edge colors (hover lines, graph viewer). */
+export const COLOR_OUT = 0x4CAF50; // green  : has Influence over the other
+export const COLOR_IN  = 0x9C27B0; // purple : the other has Influence over them
+export const COLOR_MUT = 0x2196F3; // blue   : mutual
+
 /* ----------------------------- Normalization ----------------------------- */
 
 /** Fuzzy normalize per requirement:
@@ -64,10 +74,80 @@ export function compositeKey(actor, token = null) {
   return normalize(joined);
 }
 
-/** Deep-cloned influences array from a Character actor (never NPC). */
+/**
+ * World actor UUID for an actor, resolving synthetic (unlinked token) actors
+ * to their base actor so every copy of "Goon" shares one identity.
+ */
+export function actorUuid(actor) {
+  if (!actor) return "";
+  const base = actor.isToken ? game.actors?.get(actor.token?.actorId ?? actor.id) : actor;
+  return base?.uuid ?? "";
+}
+
+/** Resolve an influence entry's `uuid` to a world Actor (null if absent/stale). */
+export function linkedActor(entry) {
+  if (!entry?.uuid) return null;
+  try {
+    const doc = fromUuidSync(entry.uuid);
+    return doc?.documentName === "Actor" ? doc : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Stricter name form used when resolving names to actors: lowercase, leading
+ * honorifics dropped as whole words only, whitespace removed. "Theodore"
+ * stays "theodore"; "Sir Desirée" becomes "desirée".
+ */
+function strictName(s) {
+  return String(s ?? "").toLowerCase().trim()
+    .replace(/^(?:(?:the|lady|sir)\s+)+/, "")
+    .replace(/\s+/g, "");
+}
+
+/**
+ * Resolve a legacy influence name to world actors.
+ * @param {string} name          Entry name as stored on the sheet
+ * @param {Actor}  [owner]       Actor owning the entry (never a candidate)
+ * @returns {{status: "unique"|"ambiguous"|"missing", candidates: Actor[]}}
+ *   unique    : exactly one actor's name/real name matches strictly
+ *   ambiguous : several strict matches, or only fuzzy (substring) matches
+ *   missing   : nothing matches at all
+ */
+export function resolveInfluenceTarget(name, owner = null) {
+  const want = strictName(name);
+  const fuzzy = normalize(name);
+  if (!want) return { status: "missing", candidates: [] };
+
+  const actors = (game.actors?.contents ?? []).filter(a => a.id !== owner?.id);
+  const exact = actors.filter(a => candidateActorNames(a).some(n => strictName(n) === want));
+  if (exact.length === 1) return { status: "unique", candidates: exact };
+  if (exact.length > 1) return { status: "ambiguous", candidates: exact };
+
+  const partial = fuzzy ? actors.filter(a => compositeKey(a).includes(fuzzy)) : [];
+  return { status: partial.length ? "ambiguous" : "missing", candidates: partial };
+}
+
+/**
+ * Where an actor's Influence array lives. Characters use the sheet's flag;
+ * NPC sheets have no Influence field, so villains keep theirs in ours.
+ */
+const NPC_FLAG_PATH = `flags.${NS}.influences`;
+export function influencePath(actor) {
+  return actor?.type === "character" ? FLAG_PATH : NPC_FLAG_PATH;
+}
+
+/** True when an update touches any actor's Influence array. */
+export function influenceChanged(changes) {
+  return foundry.utils.getProperty(changes, FLAG_PATH) !== undefined ||
+    foundry.utils.getProperty(changes, NPC_FLAG_PATH) !== undefined;
+}
+
+/** Deep-cloned influences array from a Character or an NPC's own list. */
 export function readInfluences(actor) {
   return foundry.utils.deepClone(
-    foundry.utils.getProperty(actor, FLAG_PATH) || []
+    foundry.utils.getProperty(actor, influencePath(actor)) || []
   );
 }
 
@@ -79,6 +159,10 @@ class InfluenceIndexImpl {
     this.edges = new Map();
     /** Cache of all "from" keys for quick iteration */
     this.fromKeys = new Set();
+    /** @type {Map<string, Set<string>>} links[fromActorUuid] -> set(toActorUuid), exact entries only */
+    this.links = new Map();
+    /** Display label per normalized key (first name seen), for UIs like the graph viewer */
+    this.labels = new Map();
     /** Simple bump counter to invalidate dependent caches */
     this.version = 0;
 
@@ -93,23 +177,35 @@ class InfluenceIndexImpl {
 
   /* ------------------------------- Rebuilding ------------------------------- */
 
-  /** Force a rebuild of the global edges index (Characters only). */
+  /** Force a rebuild of the global edges index (Characters + NPC lists). */
   rebuild() {
     this.edges.clear();
     this.fromKeys.clear();
+    this.links.clear();
+    this.labels.clear();
 
-    // Scan all Character actors in the world; NPC sheets do not store influences.
-    const chars = (game.actors?.contents ?? []).filter(a => a?.type === "character");
-    for (const a of chars) {
+    // Scan all Characters, plus NPCs that keep an Influence list of their own.
+    const owners = (game.actors?.contents ?? []).filter(a =>
+      a?.type === "character" || foundry.utils.getProperty(a, NPC_FLAG_PATH)?.length);
+    for (const a of owners) {
       const aKey = compositeKey(a, null); // actor-only (no token)
       if (!aKey) continue;
 
-      const infl = readInfluences(a); // [{name, hasInfluenceOver, haveInfluenceOver, ...}]
+      const infl = readInfluences(a); // [{name, uuid?, hasInfluenceOver, haveInfluenceOver, ...}]
       if (!Array.isArray(infl) || !infl.length) continue;
 
       for (const e of infl) {
+        // Linked entries: identity only, never the name map
+        const target = linkedActor(e);
+        if (target) {
+          if (e?.haveInfluenceOver === true) this._addLink(a.uuid, target.uuid);
+          if (e?.hasInfluenceOver === true) this._addLink(target.uuid, a.uuid);
+          continue;
+        }
+
         const n = normalize(e?.name);
         if (!n) continue;
+        if (!this.labels.has(n)) this.labels.set(n, String(e.name));
 
         // a.haveInfluenceOver === true  => edge: A -> N
         if (e?.haveInfluenceOver === true) this._addEdge(aKey, n);
@@ -120,6 +216,7 @@ class InfluenceIndexImpl {
     }
 
     this.version++;
+    Hooks.callAll("masksInfluenceRebuilt", this);
   }
 
   _addEdge(fromKey, toKey) {
@@ -132,6 +229,12 @@ class InfluenceIndexImpl {
     set.add(toKey);
   }
 
+  _addLink(fromUuid, toUuid) {
+    let set = this.links.get(fromUuid);
+    if (!set) this.links.set(fromUuid, (set = new Set()));
+    set.add(toUuid);
+  }
+
   /* ---------------------------- Querying & Match ---------------------------- */
 
   /**
@@ -148,6 +251,27 @@ class InfluenceIndexImpl {
     return k;
   }
 
+  /** Identity reference for a token: { uuid, key } (uuid is the base actor's). */
+  tokenRef(token) {
+    return { uuid: actorUuid(token?.actor), key: this.tokenKey(token) };
+  }
+
+  /** Identity reference for an actor without token context. */
+  actorRef(actor) {
+    return { uuid: actorUuid(actor), key: compositeKey(actor) };
+  }
+
+  /**
+   * Does A have Influence over B? Exact links first; legacy name entries
+   * fall back to the substring matcher.
+   * @param {{uuid:string, key:string}} a
+   * @param {{uuid:string, key:string}} b
+   */
+  hasEdge(a, b) {
+    if (a?.uuid && b?.uuid && a.uuid !== b.uuid && this.links.get(a.uuid)?.has(b.uuid)) return true;
+    return this.hasEdgeFromKeyToKey(a?.key, b?.key);
+  }
+
   /** Invalidate a token's cached composite key (e.g., on name change). */
   invalidateToken(tokenId) {
     if (tokenId) this._tokKeyCache.delete(tokenId);
@@ -179,9 +303,47 @@ class InfluenceIndexImpl {
 
   /** Convenience wrapper for tokens. */
   hasEdgeFromTokenToToken(tokenA, tokenB) {
-    const aKey = this.tokenKey(tokenA);
-    const bKey = this.tokenKey(tokenB);
-    return this.hasEdgeFromKeyToKey(aKey, bKey);
+    return this.hasEdge(this.tokenRef(tokenA), this.tokenRef(tokenB));
+  }
+
+  /**
+   * Whole-world graph for viewers.
+   * Nodes: every Character, every other actor an edge points at, and one
+   * "unlinked" node per legacy influence name that matches no actor at all.
+   * Edges are undirected pairs carrying both directions: { a, b, ab, ba }.
+   * @returns {{ nodes: Array<{id:string, uuid:string, key:string, name:string, img:?string, type:string, actor:?Actor}>,
+   *             edges: Array<{a:number, b:number, ab:boolean, ba:boolean}> }}
+   */
+  graph() {
+    const allKeys = new Set(this.fromKeys);
+    for (const set of this.edges.values()) for (const k of set) allKeys.add(k);
+    const linked = new Set(this.links.keys());
+    for (const set of this.links.values()) for (const u of set) linked.add(u);
+
+    const nodes = [];
+    const covered = new Set();
+    for (const a of game.actors?.contents ?? []) {
+      const key = compositeKey(a);
+      if (!key) continue;
+      const hits = [...allKeys].filter(k => key.includes(k));
+      if (a.type !== "character" && !hits.length && !linked.has(a.uuid)) continue;
+      for (const k of hits) covered.add(k);
+      nodes.push({ id: a.id, uuid: a.uuid, key, name: a.name, img: a.img || null, type: a.type, actor: a });
+    }
+    for (const k of allKeys) {
+      if (covered.has(k)) continue;
+      nodes.push({ id: `key:${k}`, uuid: "", key: k, name: this.labels.get(k) ?? k, img: null, type: "unlinked", actor: null });
+    }
+
+    const edges = [];
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const ab = this.hasEdge(nodes[i], nodes[j]);
+        const ba = this.hasEdge(nodes[j], nodes[i]);
+        if (ab || ba) edges.push({ a: i, b: j, ab, ba });
+      }
+    }
+    return { nodes, edges };
   }
 
   /* -------------------------- Symmetry Sheet Sync --------------------------- */
@@ -208,6 +370,13 @@ class InfluenceIndexImpl {
     /** @type {Map<string, {doc: Actor, infl: any[], dirty: boolean}>} */
     const targetMap = new Map();
 
+    const findTargetCharacter = (e) => {
+      // Linked entries name their counterpart exactly
+      const linked = linkedActor(e);
+      if (linked) return linked.type === "character" && linked.id !== actor.id ? linked : null;
+      return findTargetCharacterByNorm(normalize(e?.name));
+    };
+
     const findTargetCharacterByNorm = (norm) => {
       // Prefer exact match on actor.name or realName, else fallback to contains.
       const chars = (game.actors?.contents ?? []).filter(x => x?.type === "character" && x.id !== actor.id);
@@ -230,12 +399,17 @@ class InfluenceIndexImpl {
       return exact || partial;
     };
 
-    const ensureEntry = (arr, nameForEntry) => {
-      const idx = arr.findIndex(e => normalize(e?.name) === normalize(nameForEntry));
-      if (idx >= 0) return { idx, obj: arr[idx] };
+    const ensureEntry = (arr, nameForEntry, uuid) => {
+      let idx = arr.findIndex(e => e?.uuid && e.uuid === uuid);
+      if (idx < 0) idx = arr.findIndex(e => !e?.uuid && normalize(e?.name) === normalize(nameForEntry));
+      if (idx >= 0) {
+        if (uuid && !arr[idx].uuid) arr[idx].uuid = uuid; // upgrade legacy entry in passing
+        return { idx, obj: arr[idx] };
+      }
       const obj = {
         id: (foundry.utils.randomID?.(16) ?? Math.random().toString(36).slice(2)),
         name: nameForEntry,
+        uuid,
         hasInfluenceOver: false,
         haveInfluenceOver: false,
         locked: false
@@ -246,11 +420,10 @@ class InfluenceIndexImpl {
 
     // Walk A's declared influences
     for (const e of aInfl) {
-      const n = normalize(e?.name);
-      if (!n) continue;
+      if (!normalize(e?.name) && !e?.uuid) continue;
 
       // Only sync when the counterpart is a Character
-      const tActor = findTargetCharacterByNorm(n);
+      const tActor = findTargetCharacter(e);
       if (!tActor) continue;
 
       let bucket = targetMap.get(tActor.id);
@@ -265,7 +438,7 @@ class InfluenceIndexImpl {
       const aOverB = !!e?.haveInfluenceOver;
       const bOverA = !!e?.hasInfluenceOver;
 
-      const entry = ensureEntry(bucket.infl, actor.name ?? "Actor");
+      const entry = ensureEntry(bucket.infl, actor.name ?? "Actor", actorUuid(actor));
       const prev = { has: !!entry.obj.hasInfluenceOver, have: !!entry.obj.haveInfluenceOver };
 
       const desiredHas  = aOverB ? true : prev.has;   // B.hasInfluenceOver(A)
@@ -297,7 +470,8 @@ class InfluenceIndexImpl {
       // Guard to avoid loops
       this._syncGuard.add(doc.id);
       try {
-        updates.push(doc.setFlag("masks-newgeneration-unofficial", "influences", infl));
+        // masksMirror: the change is already in the source actor's Influence log
+        updates.push(doc.update({ [FLAG_PATH]: infl }, { masksMirror: true }));
       } catch (err) {
         console.error(`[${NS}] Failed to sync Influence flags on ${doc.name}`, err);
       } finally {
@@ -321,7 +495,7 @@ class InfluenceIndexImpl {
 
     // Rebuild when relevant actor data changes
     Hooks.on("updateActor", (actor, changes) => {
-      const inflChanged = foundry.utils.getProperty(changes, FLAG_PATH) !== undefined;
+      const inflChanged = influenceChanged(changes);
       const nameChanged = changes.name !== undefined ||
         foundry.utils.getProperty(changes, "system.attributes.realName.value") !== undefined;
 
@@ -335,6 +509,10 @@ class InfluenceIndexImpl {
       }
     });
 
+    // Linked entries depend on their target actor existing
+    Hooks.on("createActor", () => this.rebuild());
+    Hooks.on("deleteActor", () => this.rebuild());
+
     // Initial build at ready
     Hooks.once("ready", () => {
       this.rebuild();
@@ -0,0 +1,72 @@
+/* global game */
+
+/**
+ * helpers/spotlight.mjs
+ * ---------------------------------------------------------------------------
+ * Who has had the spotlight: shared readers (and the log writer) for the
+ * acted-this-round marks.
+ *
+ * Storage:
+ *   - Combatant: flags[NS].pbtaGoneRound    = round marked acted (current round only)
+ *                flags[NS].pbtaActedRounds  = [every round this combatant acted]
+ *   - Actor (Characters only, survives the combat):
+ *                flags[NS].spotlightLog     = [{ combatId, sceneId, round, timestamp }]
+ *                (combatId for Combat Tracker marks, sceneId for scene spotlight panels)
+ *
+ * "This session" counts spotlightLog records since the Influence session
+ * marker (influenceSessionStart), so one "new session" button resets both.
+ */
+
+export const NS = "masks-newgeneration-extensions";
+export const FLAG_GONE = "pbtaGoneRound";
+export const FLAG_ROUNDS = "pbtaActedRounds";
+export const FLAG_SPOTLIGHT = "spotlightLog";
+export const SPOTLIGHT_LIMIT = 200;
+
+/** Rounds a combatant has acted in (sorted, unique). */
+export function actedRounds(cbt) {
+  const list = cbt?.getFlag(NS, FLAG_ROUNDS);
+  return Array.isArray(list) ? [...new Set(list.map(Number).filter(Number.isFinite))].sort((a, b) => a - b) : [];
+}
+
+/** World actor behind a combatant (Characters only), or null. */
+export function spotlightActor(cbt) {
+  let actor = cbt?.actor ?? null;
+  if (actor?.isToken) actor = game.actors?.get(actor.token?.actorId) ?? actor;
+  return actor?.type === "character" ? actor : null;
+}
+
+/** Spotlight records for an actor, optionally since a timestamp. */
+export function spotlightLog(actor, since = 0) {
+  const list = actor?.getFlag(NS, FLAG_SPOTLIGHT);
+  return Array.isArray(list) ? list.filter(r => (r?.timestamp ?? 0) >= since) : [];
+}
+
+/**
+ * Add (or remove) one round in a hero's spotlight log. Caller must be able to
+ * write the actor (owner or GM).
+ * @param {Actor} actor
+ * @param {{combatId?: string|null, sceneId?: string|null}} where
+ * @param {number} round
+ * @param {boolean} acted
+ */
+export async function recordSpotlight(actor, { combatId = null, sceneId = null }, round, acted) {
+  if (!actor || !(game.user?.isGM || actor.isOwner === true)) return;
+  const same = (e) => (e?.combatId ?? null) === combatId && (e?.sceneId ?? null) === sceneId && e?.round === round;
+  const log = (actor.getFlag(NS, FLAG_SPOTLIGHT) ?? []).filter(e => !same(e));
+  if (acted) log.push({ combatId, sceneId, round, timestamp: Date.now() });
+  try {
+    await actor.setFlag(NS, FLAG_SPOTLIGHT, log.slice(-SPOTLIGHT_LIMIT));
+  } catch (err) {
+    console.error(`[${NS}] Failed to log spotlight for ${actor.name}`, err);
+  }
+}
+
+/** Start of the current session (0 = the beginning). */
+export function sessionStart() {
+  try {
+    return Number(game.settings.get(NS, "influenceSessionStart")) || 0;
+  } catch (_) {
+    return 0;
+  }
+}
@@ -0,0 +1,185 @@
+/* global game, Hooks, ChatMessage, CONST, foundry */
+
+/**
+ * influence-expiry.mjs
+ * ----------------------------------------------------------------------------
+ * GM rules on Influence entries: locks (both sides) and expiry triggers.
+ *
+ * Entries may carry `expires` (one of EXPIRY_TRIGGERS). When the trigger fires
+ * the primary GM removes the entry and its counterpart's mirror entry, logs it
+ * (move "Expired: …") and posts one chat summary.
+ *
+ * Triggers:
+ *   - session       : a new session starts (Influence report / manager button)
+ *   - scene         : the GM activates a different scene
+ *   - combat        : a combat encounter is deleted (the fight ends)
+ *   - momentOfTruth : the GM marks a hero's Moment of Truth (manager / API);
+ *                     only entries owned by or pointing at that hero expire
+ */
+
+import {
+  NS,
+  normalize,
+  readInfluences,
+  influencePath,
+  linkedActor,
+  actorUuid,
+  resolveInfluenceTarget
+} from "./helpers/influence.mjs";
+
+export const EXPIRY_TRIGGERS = Object.freeze({
+  session: "End of session",
+  scene: "End of scene",
+  combat: "End of combat",
+  momentOfTruth: "Moment of Truth"
+});
+
+/** Every actor that owns Influence entries (Characters and NPC lists). */
+export function influenceOwners() {
+  return (game.actors?.contents ?? []).filter(a => a.type === "character" || readInfluences(a).length);
+}
+
+/** The actor an entry points at: linked uuid, else a unique name match. */
+export function entryTarget(owner, entry) {
+  const linked = linkedActor(entry);
+  if (linked) return linked;
+  const res = resolveInfluenceTarget(entry?.name, owner);
+  return res.status === "unique" ? res.candidates[0] : null;
+}
+
+/** Index of the counterpart's mirror entry pointing back at owner (or -1). */
+function mirrorIndex(list, owner) {
+  const uuid = actorUuid(owner);
+  const idx = list.findIndex(e => e?.uuid && e.uuid === uuid);
+  if (idx >= 0) return idx;
+  const names = [owner.name, foundry.utils.getProperty(owner, "system.attributes.realName.value")].filter(Boolean).map(normalize);
+  return list.findIndex(e => !e?.uuid && names.includes(normalize(e?.name)));
+}
+
+function primaryGMId() {
+  const gms = (game.users?.contents ?? []).filter(u => u?.isGM && u?.active);
+  gms.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return gms[0]?.id ?? null;
+}
+
+/**
+ * Apply a change to entries and their mirrors, batched per actor (GM only).
+ * Entries are found by id, or by index for sheet entries that have none.
+ * @param {Array<{owner: Actor, entryId?: string, index?: number}>} refs
+ * @param {(entry: object) => boolean|void} fn mutate in place; return false to delete
+ * @param {object} [options] update options (e.g. { masksMove })
+ */
+export async function editEntries(refs, fn, options = {}) {
+  if (!game.user?.isGM) return 0;
+  const lists = new Map(); // actorId -> { actor, infl, dirty, mirrorOnly }
+  const get = (actor) => {
+    if (!lists.has(actor.id)) lists.set(actor.id, { actor, infl: readInfluences(actor), dirty: false, mirrorOnly: true });
+    return lists.get(actor.id);
+  };
+
+  // Resolve every ref before mutating so index refs survive earlier deletions
+  const picked = refs.map(({ owner, entryId, index }) => {
+    const own = get(owner);
+    return { owner, own, entry: entryId ? own.infl.find(e => e?.id === entryId) : own.infl[index] };
+  }).filter(p => p.entry);
+
+  let n = 0;
+  for (const { owner, own, entry } of picked) {
+    const idx = own.infl.indexOf(entry);
+    if (idx < 0) continue; // already removed as someone's mirror
+    const target = entryTarget(owner, entry);
+
+    if (fn(entry) === false) own.infl.splice(idx, 1);
+    own.dirty = true;
+    own.mirrorOnly = false;
+    n++;
+
+    if (target?.type === "character" && target.id !== owner.id) {
+      const other = get(target);
+      const m = mirrorIndex(other.infl, owner);
+      if (m >= 0) {
+        if (fn(other.infl[m]) === false) other.infl.splice(m, 1);
+        other.dirty = true;
+      }
+    }
+  }
+
+  for (const { actor, infl, dirty, mirrorOnly } of lists.values()) {
+    if (!dirty) continue;
+    try {
+      await actor.update({ [influencePath(actor)]: infl }, { ...options, masksMirror: mirrorOnly });
+    } catch (err) {
+      console.error(`[${NS}] Failed to update Influence on ${actor.name}`, err);
+    }
+  }
+  return n;
+}
+
+/** Lock or unlock entries (and their mirrors). */
+export function setLocked(refs, locked) {
+  return editEntries(refs, (e) => { e.locked = !!locked; }, { masksMove: locked ? "GM lock" : "GM unlock" });
+}
+
+/** Set (or clear with "") the expiry trigger on entries (and their mirrors). */
+export function setExpiry(refs, trigger) {
+  const value = trigger in EXPIRY_TRIGGERS ? trigger : "";
+  return editEntries(refs, (e) => {
+    if (value) e.expires = value;
+    else delete e.expires;
+  });
+}
+
+/**
+ * Remove every entry scheduled for a trigger. Runs on the primary GM only.
+ * @param {string} trigger   key of EXPIRY_TRIGGERS
+ * @param {{actor?: Actor}} [opts] Moment of Truth: the hero whose moment it is
+ * @returns {Promise<number>} entries removed
+ */
+export async function expireInfluence(trigger, { actor = null } = {}) {
+  if (game.user?.id !== primaryGMId() || !(trigger in EXPIRY_TRIGGERS)) return 0;
+
+  const refs = [];
+  const lines = [];
+  const pairs = new Set(); // a mirror is removed with its entry; list each pair once
+  for (const owner of influenceOwners()) {
+    readInfluences(owner).forEach((e, index) => {
+      if (e?.expires !== trigger) return;
+      const target = entryTarget(owner, e);
+      if (actor && owner.id !== actor.id && target?.id !== actor.id) return;
+      const pair = target ? [owner.id, target.id].sort().join("|") : `${owner.id}|${normalize(e.name)}`;
+      if (pairs.has(pair)) return;
+      pairs.add(pair);
+      refs.push({ owner, entryId: e.id, index });
+      lines.push(`${foundry.utils.escapeHTML(owner.name)} ↔ ${foundry.utils.escapeHTML(e.name ?? "?")}`);
+    });
+  }
+  if (!refs.length) return 0;
+
+  const label = EXPIRY_TRIGGERS[trigger];
+  const n = await editEntries(refs, () => false, { masksMove: `Expired: ${label}` });
+  await ChatMessage.create({
+    content: `<h6>Influence expired — ${label}${actor ? ` (${foundry.utils.escapeHTML(actor.name)})` : ""}</h6>${lines.join("<br/>")}`,
+    type: CONST.CHAT_MESSAGE_TYPES.OTHER
+  });
+  return n;
+}
+
+/* ---------------------------------- Hooks --------------------------------- */
+
+Hooks.on("masksInfluenceSessionStarted", () => expireInfluence("session"));
+
+Hooks.on("updateScene", (scene, changes) => {
+  if (changes?.active === true) expireInfluence("scene");
+});
+
+Hooks.on("deleteCombat", () => expireInfluence("combat"));
+
+Hooks.once("init", () => {
+  const mod = game.modules.get(NS);
+  if (mod) {
+    mod.api ??= {};
+    mod.api.influence ??= {};
+    /** GM: fire an expiry trigger now, e.g. expire("momentOfTruth", { actor }). */
+    mod.api.influence.expire = (trigger, opts) => expireInfluence(trigger, opts);
+  }
+});
@@ -0,0 +1,299 @@
+/* global game, ui, Hooks, ChatMessage, CONST, foundry, Dialog, JournalEntry */
+
+/**
+ * influence-history.mjs
+ * ----------------------------------------------------------------------------
+ * Influence change log + per-session report.
+ *
+ * Recording:
+ *   - Every write to an Influence array (Character sheet or NPC list) is diffed in preUpdateActor
+ *     and the gains/losses are appended to that actor's own log flag in the
+ *     same update (no extra writes, works for the sheet and Quick Influence).
+ *   - The log keeps every record of the current session; past LOG_LIMIT the
+ *     oldest records from earlier sessions are pruned, and a report whose
+ *     range reaches back that far says so.
+ *   - Writers may pass update options:
+ *       masksMove   : which move caused it ("Provoke", "Selfish Team spend", …)
+ *       masksUser   : user id to credit (GM relays act for a player)
+ *       masksMirror : counterpart write that repeats a change already logged
+ *
+ * Report (GM):
+ *   - Nets every "X has Influence over Y" fact since the session marker and
+ *     posts a summary to chat and/or a page in the "Influence Reports" journal.
+ *   - Posting can start a new session (moves the marker to now; fires
+ *     `masksInfluenceSessionStarted` on every client).
+ */
+
+import { NS, normalize, readInfluences, influencePath, linkedActor } from "./helpers/influence.mjs";
+
+const FLAG_LOG = "influenceLog";
+const FLAG_LOG_PRUNED = "influenceLogPrunedTo"; // newest timestamp ever pruned from the log
+const LOG_LIMIT = 300; // past this, records from before the current session are pruned
+const KEY_SESSION_START = "influenceSessionStart";
+const REPORTS_NAME = "Influence Reports";
+
+/* -------------------------------- Recording ------------------------------- */
+
+/** Match an old entry in the new array: id, then uuid, then normalized name. */
+function findCounterpart(list, e) {
+  return list.find(x => e.id && x?.id === e.id) ??
+    list.find(x => e.uuid && x?.uuid === e.uuid) ??
+    list.find(x => !x?.uuid && !e.uuid && normalize(x?.name) === normalize(e.name));
+}
+
+/**
+ * Gains/losses between two Influence arrays as log records.
+ * direction "out" = the actor has Influence over the target; "in" = the reverse.
+ */
+function diffInfluences(before, after, options) {
+  const userId = options.masksUser ?? game.user?.id;
+  const base = {
+    timestamp: Date.now(),
+    userId,
+    userName: game.users?.get(userId)?.name ?? game.user?.name ?? "",
+    sceneId: game.scenes?.viewed?.id ?? null,
+    sceneName: game.scenes?.viewed?.name ?? "",
+    move: options.masksMove || "Sheet edit"
+  };
+  const records = [];
+  const push = (e, direction, gained) => records.push({
+    ...base,
+    id: foundry.utils.randomID(),
+    targetName: e.name ?? "",
+    targetUuid: e.uuid ?? "",
+    direction,
+    gained
+  });
+
+  const seen = new Set();
+  for (const now of after) {
+    if (!now) continue;
+    const prev = findCounterpart(before, now);
+    if (prev) seen.add(prev);
+    if (!!prev?.haveInfluenceOver !== !!now.haveInfluenceOver) push(now, "out", !!now.haveInfluenceOver);
+    if (!!prev?.hasInfluenceOver !== !!now.hasInfluenceOver) push(now, "in", !!now.hasInfluenceOver);
+  }
+  for (const prev of before) {
+    if (!prev || seen.has(prev)) continue;
+    if (prev.haveInfluenceOver) push(prev, "out", false);
+    if (prev.hasInfluenceOver) push(prev, "in", false);
+  }
+  return records;
+}
+
+/* -------------------------------- Reporting ------------------------------- */
+
+/**
+ * Log records across all actors, oldest first, each with its owner.
+ * @param {{since?: number, actor?: Actor}} [opts]
+ */
+export function influenceHistory({ since = 0, actor = null } = {}) {
+  const actors = actor ? [actor] : (game.actors?.contents ?? []);
+  const out = [];
+  for (const a of actors) {
+    for (const r of a.getFlag(NS, FLAG_LOG) ?? []) {
+      if ((r.timestamp ?? 0) < since) continue;
+      out.push({ ...r, actorId: a.id, actorName: a.name, actorUuid: a.uuid });
+    }
+  }
+  return out.sort((x, y) => x.timestamp - y.timestamp);
+}
+
+/** Newest pruned timestamp across actors, if any records at or after `since` were pruned. */
+function prunedSince(since) {
+  let newest = 0;
+  for (const a of game.actors?.contents ?? []) newest = Math.max(newest, Number(a.getFlag(NS, FLAG_LOG_PRUNED)) || 0);
+  return newest >= since && newest > 0 ? newest : 0;
+}
+
+/** Net change per "from has Influence over to" fact. */
+function summarize(records) {
+  const facts = new Map();
+  for (const r of records) {
+    const target = linkedActor({ uuid: r.targetUuid });
+    const tId = target?.uuid ?? `name:${normalize(r.targetName)}`;
+    const tName = target?.name ?? r.targetName;
+    const [fromId, fromName, toId, toName] = r.direction === "out"
+      ? [r.actorUuid, r.actorName, tId, tName]
+      : [tId, tName, r.actorUuid, r.actorName];
+    const key = `${fromId}>${toId}`;
+
+    let f = facts.get(key);
+    if (!f) facts.set(key, (f = { fromName, toName, start: !r.gained, end: r.gained, moves: new Set(), users: new Set() }));
+    f.end = r.gained;
+    if (r.move) f.moves.add(r.move);
+    if (r.userName) f.users.add(r.userName);
+  }
+  const list = [...facts.values()].sort((a, b) => a.fromName.localeCompare(b.fromName) || a.toName.localeCompare(b.toName));
+  return {
+    gained: list.filter(f => !f.start && f.end),
+    lost: list.filter(f => f.start && !f.end),
+    churn: list.filter(f => f.start === f.end)
+  };
+}
+
+/** Report HTML for a set of records. */
+function reportHTML(records, since) {
+  const esc = foundry.utils.escapeHTML;
+  const { gained, lost, churn } = summarize(records);
+  const line = (f) => `<li><b>${esc(f.fromName)}</b> → <b>${esc(f.toName)}</b>` +
+    ` <span class="color-muted">(${esc([...f.moves].join(", "))}; ${esc([...f.users].join(", "))})</span></li>`;
+  const section = (title, list) => list.length ? `<h4>${title}</h4><ul>${list.map(line).join("")}</ul>` : "";
+
+  const from = since ? new Date(since).toLocaleString() : "the beginning";
+  let html = `<h3>Influence this session</h3><p class="color-muted">Since ${esc(from)} · ${records.length} change${records.length === 1 ? "" : "s"}</p>`;
+  const pruned = prunedSince(since);
+  if (pruned) html += `<p><em>The Influence log was trimmed: changes up to ${esc(new Date(pruned).toLocaleString())} are missing from this report.</em></p>`;
+  html += section("Gained Influence", gained);
+  html += section("Lost Influence", lost);
+  html += section("Changed and changed back", churn);
+  if (!gained.length && !lost.length && !churn.length) html += "<p>No Influence changed.</p>";
+  return html;
+}
+
+/** Find or create the journal that collects session reports (GM). */
+async function reportsJournal() {
+  const found = game.journal?.find(j => j.getFlag(NS, "isInfluenceReports") === true);
+  if (found) return found;
+  return JournalEntry.create({
+    name: REPORTS_NAME,
+    pages: [],
+    flags: { [NS]: { isInfluenceReports: true } }
+  }, { renderSheet: false });
+}
+
+/**
+ * Post a session report.
+ * @param {{since?: number, output?: "chat"|"journal"|"both", newSession?: boolean}} [opts]
+ * @returns {Promise<string|undefined>} the report HTML
+ */
+export async function postInfluenceReport({ since, output = "chat", newSession = false } = {}) {
+  if (!game.user?.isGM) {
+    ui.notifications?.warn?.("Only the GM can post the Influence report.");
+    return;
+  }
+  since ??= Number(game.settings.get(NS, KEY_SESSION_START)) || 0;
+  const html = reportHTML(influenceHistory({ since }), since);
+
+  if (output === "chat" || output === "both") {
+    await ChatMessage.create({ content: html, type: CONST.CHAT_MESSAGE_TYPES.OTHER });
+  }
+  if (output === "journal" || output === "both") {
+    const journal = await reportsJournal();
+    await journal.createEmbeddedDocuments("JournalEntryPage", [{
+      name: `Session — ${new Date().toLocaleDateString()}`,
+      type: "text",
+      text: { content: html }
+    }]);
+    ui.notifications?.info?.(`Influence report added to "${journal.name}".`);
+  }
+  if (newSession) await game.settings.set(NS, KEY_SESSION_START, Date.now());
+  return html;
+}
+
+/** GM dialog: choose output and whether to start a new session. */
+async function openReportDialog() {
+  const since = Number(game.settings.get(NS, KEY_SESSION_START)) || 0;
+  const from = since ? new Date(since).toLocaleString() : "the beginning";
+  const content = `
+    <form style="margin-bottom:8px;">
+      <p>Summarize Influence changes since <b>${foundry.utils.escapeHTML(from)}</b>.</p>
+      <div class="form-group">
+        <label>Post to</label>
+        <select name="output">
+          <option value="chat">Chat</option>
+          <option value="journal">Journal page</option>
+          <option value="both">Both</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Start a new session afterwards</label>
+        <input type="checkbox" name="newSession" checked />
+      </div>
+    </form>`;
+
+  return new Promise((resolve) => {
+    // eslint-disable-next-line no-new
+    new Dialog({
+      title: "Influence Session Report",
+      content,
+      buttons: {
+        ok: {
+          label: "Post",
+          callback: html => {
+            const root = html[0];
+            resolve(postInfluenceReport({
+              since,
+              output: root.querySelector("select[name='output']")?.value ?? "chat",
+              newSession: root.querySelector("input[name='newSession']")?.checked === true
+            }));
+          }
+        },
+        cancel: { label: "Cancel", callback: () => resolve(null) }
+      },
+      default: "ok",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+/* ---------------------------------- Hooks --------------------------------- */
+
+// Runs on the writing client only; folds the log into the same update.
+Hooks.on("preUpdateActor", (actor, changes, options) => {
+  if (!actor || options?.masksMirror) return;
+  const after = foundry.utils.getProperty(changes, influencePath(actor));
+  if (!Array.isArray(after)) return;
+
+  const records = diffInfluences(readInfluences(actor), after, options ?? {});
+  if (!records.length) return;
+
+  const log = (actor.getFlag(NS, FLAG_LOG) ?? []).concat(records);
+
+  // Over the limit: prune only records from before this session, oldest first
+  const sessionStart = Number(game.settings.get(NS, KEY_SESSION_START)) || 0;
+  let prunedTo = 0;
+  while (log.length > LOG_LIMIT && (log[0]?.timestamp ?? 0) < sessionStart) {
+    prunedTo = Math.max(prunedTo, log.shift()?.timestamp ?? 0);
+  }
+  foundry.utils.setProperty(changes, `flags.${NS}.${FLAG_LOG}`, log);
+  if (prunedTo) {
+    const prev = Number(actor.getFlag(NS, FLAG_LOG_PRUNED)) || 0;
+    foundry.utils.setProperty(changes, `flags.${NS}.${FLAG_LOG_PRUNED}`, Math.max(prev, prunedTo));
+  }
+});
+
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!controls?.tokens?.tools) return;
+  controls.tokens.tools.influenceReport = {
+    layer: "tokens",
+    name: "influenceReport",
+    title: "Influence Session Report",
+    icon: "fa-solid fa-scroll",
+    button: true,
+    onClick: () => openReportDialog(),
+    visible: game.user?.isGM === true
+  };
+});
+
+Hooks.once("init", () => {
+  game.settings.register(NS, KEY_SESSION_START, {
+    name: "Influence session start",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0,
+    // Other features (e.g. "until end of session" expiry) key off a new session
+    onChange: (value) => Hooks.callAll("masksInfluenceSessionStarted", value)
+  });
+
+  const mod = game.modules.get(NS);
+  if (mod) {
+    mod.api ??= {};
+    mod.api.influence ??= {};
+    /** Log records (oldest first) since a timestamp, optionally for one actor. */
+    mod.api.influence.history = (opts) => influenceHistory(opts);
+    /** GM: post the session report; resolves to its HTML. */
+    mod.api.influence.report = (opts) => postInfluenceReport(opts);
+  }
+});
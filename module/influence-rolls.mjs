@@ -0,0 +1,160 @@
+/* global game, canvas, Hooks, foundry */
+
+/**
+ * influence-rolls.mjs
+ * ----------------------------------------------------------------------------
+ * Influence-aware roll modifiers in the PbtA roll dialog.
+ *
+ * When a hero opens a move's roll dialog with exactly one token targeted:
+ *   - You have Influence over them  → offer +1 (acting against or for them).
+ *   - They have Influence over you  → offer their ±1 (they choose which).
+ * The chosen modifier is folded into the dialog's situational bonus just
+ * before it submits, and the chat card gets a short "Influence" note.
+ *
+ * Roller: your single controlled token, else your User Character.
+ * Nothing is injected when there is no target, no Influence either way,
+ * or the dialog has no situational bonus field.
+ */
+
+import { NS, InfluenceIndex } from "./helpers/influence.mjs";
+
+const KEY_ENABLED = "influenceRollModifiers";
+const PENDING_TTL = 15000; // ms between dialog submit and the chat card
+
+/** Last applied modifier, waiting for this user's next roll card. */
+let pending = null;
+
+/** Roller token/actor for this user (quiet; no prompts). */
+function resolveRoller() {
+  const controlled = canvas.tokens?.controlled ?? [];
+  if (controlled.length === 1 && controlled[0]?.actor) {
+    return { token: controlled[0], actor: controlled[0].actor };
+  }
+  const actor = game.user?.character;
+  if (!actor) return null;
+  const token = (canvas.tokens?.placeables ?? []).find(t => t?.actor?.id === actor.id) ?? null;
+  return { token, actor };
+}
+
+/** Influence both ways between the roller and their single target. */
+function detect() {
+  const targets = Array.from(game.user?.targets ?? []);
+  if (targets.length !== 1 || !targets[0]?.actor) return null;
+  const roller = resolveRoller();
+  if (!roller || roller.actor.type !== "character") return null;
+
+  const target = targets[0];
+  if (target.actor.id === roller.actor.id) return null;
+  const a = roller.token ? InfluenceIndex.tokenRef(roller.token) : InfluenceIndex.actorRef(roller.actor);
+  const b = InfluenceIndex.tokenRef(target);
+  const out = InfluenceIndex.hasEdge(a, b);
+  const inn = InfluenceIndex.hasEdge(b, a);
+  if (!out && !inn) return null;
+
+  return {
+    roller: roller.actor.name,
+    target: target.document?.name ?? target.actor.name,
+    out,
+    inn
+  };
+}
+
+/** Add n to the situational bonus (number field or formula text). */
+function addToBonus(input, n) {
+  if (!n) return;
+  const v = String(input.value ?? "").trim();
+  if (input.type === "number") input.value = String((Number(v) || 0) + n);
+  else if (!v) input.value = String(n);
+  else input.value = `${v} ${n < 0 ? "-" : "+"} ${Math.abs(n)}`;
+}
+
+function injectFields(root, info) {
+  const bonus = root.querySelector("input[name='bonus']");
+  if (!bonus || root.querySelector(".masks-influence-roll")) return;
+
+  const esc = foundry.utils.escapeHTML;
+  const box = document.createElement("fieldset");
+  box.className = "masks-influence-roll";
+  let html = `<legend><i class="fa-solid fa-people-arrows"></i> Influence vs ${esc(info.target)}</legend>`;
+  if (info.out) {
+    html += `
+      <label class="checkbox">
+        <input type="checkbox" name="masksInfluenceOut" checked />
+        +1: you have Influence over ${esc(info.target)}
+      </label>`;
+  }
+  if (info.inn) {
+    html += `
+      <div class="form-group">
+        <label>${esc(info.target)} has Influence over you</label>
+        <select name="masksInfluenceIn">
+          <option value="0">Not used</option>
+          <option value="1">They use it: +1</option>
+          <option value="-1">They use it: −1</option>
+        </select>
+      </div>`;
+  }
+  box.innerHTML = html;
+  (bonus.closest(".form-group") ?? bonus).after(box);
+
+  // Fold the choice into the bonus right before the dialog reads its form
+  let applied = false;
+  const apply = () => {
+    if (applied) return;
+    applied = true;
+    const out = root.querySelector("input[name='masksInfluenceOut']")?.checked ? 1 : 0;
+    const inn = Number(root.querySelector("select[name='masksInfluenceIn']")?.value) || 0;
+    addToBonus(bonus, out + inn);
+    pending = out || inn ? { ...info, out, inn, at: Date.now() } : null;
+  };
+  root.addEventListener("click", (ev) => {
+    const btn = ev.target.closest?.("button");
+    if (!btn || btn.dataset.button === "cancel" || btn.dataset.action === "close" || btn.dataset.action === "cancel") return;
+    apply();
+  }, true);
+  root.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter" && ev.target?.tagName !== "TEXTAREA") apply();
+  }, true);
+}
+
+function onRenderDialog(app, html) {
+  if (!game.settings.get(NS, KEY_ENABLED)) return;
+  const root = html?.[0] ?? html ?? app?.element;
+  if (!root?.querySelector?.("input[name='bonus']")) return;
+  const info = detect();
+  if (info) injectFields(root, info);
+}
+
+Hooks.on("renderDialog", onRenderDialog);
+Hooks.on("renderDialogV2", onRenderDialog);
+
+// Record what was applied on the roll's chat card
+Hooks.on("preCreateChatMessage", (message) => {
+  if (!pending || !message.rolls?.length) return;
+  if (message.author?.id && message.author.id !== game.user?.id) return;
+  const p = pending;
+  pending = null;
+  if (Date.now() - p.at > PENDING_TTL) return;
+
+  const esc = foundry.utils.escapeHTML;
+  const parts = [];
+  if (p.out) parts.push(`+1 (${esc(p.roller)} has Influence over ${esc(p.target)})`);
+  if (p.inn) parts.push(`${p.inn > 0 ? "+1" : "−1"} (${esc(p.target)} used Influence over ${esc(p.roller)})`);
+  const note = `<div class="masks-influence-note"><i class="fa-solid fa-people-arrows"></i> Influence: ${parts.join(", ")}</div>`;
+
+  message.updateSource({
+    content: `${message.content ?? ""}${note}`,
+    [`flags.${NS}.influenceRoll`]: { target: p.target, out: p.out, inn: p.inn }
+  });
+});
+
+Hooks.once("init", () => {
+  game.settings.register(NS, KEY_ENABLED, {
+    name: "Influence roll modifiers",
+    hint: "When you roll with one token targeted, offer Influence bonuses (+1 for yours over them, their ±1 over you) in the roll dialog.",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+});
@@ -4,12 +4,17 @@
  * ----------------------------------------------------------------------------
  * Influence Line Tracker (refactored)
  *
- * - Uses a global hash (InfluenceIndex) built from ALL character sheets.
+ * - Uses a global hash (InfluenceIndex) built from ALL character sheets and
+ *   the Influence lists NPCs keep in module flags.
  * - Draws lines for both PCs and NPCs on hover:
  *     • Green  : hovered has Influence over other
- *     • Red    : other has Influence over hovered
- *     • Yellow : mutual
- * - Keeps fuzzy matching exactly as requested (see helpers/influence.mjs).
+ *     • Purple : other has Influence over hovered
+ *     • Blue   : mutual
+ * - Linked entries (with a target uuid) match exactly; legacy name-only
+ *   entries keep the fuzzy matcher (see helpers/influence.mjs).
+ * - "Show All Influence Lines" (token controls toggle) keeps every edge on the
+ *   scene drawn: arrows point influencer → influenced, mutual pairs are two
+ *   arcs bowed apart, each labelled "A → B".
  * - Efficient: single Graphics layer; constant-pixel width lines; cached keys.
  * - No reliance on per-hover actor scanning.
  *
@@ -20,19 +25,20 @@
 import {
   NS,
   InfluenceIndex,
-  compositeKey,
-  registerInfluenceHelpers
+  registerInfluenceHelpers,
+  COLOR_OUT,
+  COLOR_IN,
+  COLOR_MUT
 } from "./helpers/influence.mjs";
+import { InfluenceGraphApp } from "./apps/influence-graph.mjs";
+import { InfluenceLinksApp } from "./apps/influence-links.mjs";
+import { InfluenceManagerApp } from "./apps/influence-manager.mjs";
 
 // Settings (client)
 const KEY_ENABLED = "influenceLinesEnabled";
 const KEY_HALF_OPACITY = "influenceLinesHalfOpacity";
 const KEY_LINE_THICKNESS = "influenceLinesThicknessPx";
-
-// Colors
-const COLOR_OUT = 0x4CAF50; // green
-const COLOR_IN  = 0x9C27B0; // red
-const COLOR_MUT = 0x2196F3; // yellow
+const KEY_SHOW_ALL = "influenceLinesShowAll";
 
 const InfluenceLines = {
   container: null,
@@ -42,6 +48,11 @@ const InfluenceLines = {
     return game.settings.get(NS, KEY_ENABLED) === true;
   },
 
+  /** Persistent overlay: every edge on the scene, not just the hovered token's. */
+  get showAll() {
+    return game.settings.get(NS, KEY_SHOW_ALL) === true;
+  },
+
   get alpha() {
     // Backward compatibility: if legacy boolean, map true=>0.25, false=>0.5
     const v = game.settings.get(NS, KEY_HALF_OPACITY);
@@ -58,6 +69,7 @@ const InfluenceLines = {
       this.container.parent.removeChild(this.container);
       try { this.container.destroy({ children: true }); } catch (_) {}
       this.container = null;
+      this.edges.clear();
     }
 
     this.container = new PIXI.Container();
@@ -68,17 +80,26 @@ const InfluenceLines = {
   },
 
   clear() {
+    this.edges.clear();
     if (!this.container) return;
     this.container.removeChildren().forEach(c => { try { c.destroy(); } catch (_) {} });
   },
 
+  /** Line width (world units) for the configured screen-pixel thickness. */
+  _widths() {
+    const desiredPxRaw = game.settings.get(NS, KEY_LINE_THICKNESS);
+    const desiredPx = Math.min(Math.max(Number(desiredPxRaw) || 4, 1), 12);
+    const scale = Math.max(0.0001, canvas.stage.scale.x);
+    return { px: desiredPx, scale, w: desiredPx / scale };
+  },
+
   /** Draw connections from hovered token to all other tokens. */
   drawFor(token) {
     if (!canvas?.stage || !this.enabled || !token?.actor) return;
 
     this.clear();
 
-    // Build others list (any actor type); NPC↔NPC lines won't exist but check is cheap.
+    // Build others list (any actor type); NPCs with their own lists draw too.
     const placeables = canvas.tokens?.placeables ?? [];
     const others = placeables.filter(t => t.id !== token.id && t.visible && t.actor);
     if (!others.length) return;
@@ -88,19 +109,17 @@ const InfluenceLines = {
     this.container.addChild(g);
 
     // Keep line width constant in screen pixels
-    const desiredPxRaw = game.settings.get(NS, KEY_LINE_THICKNESS);
-    const desiredPx = Math.min(Math.max(Number(desiredPxRaw) || 4, 1), 12);
-    const w = desiredPx / Math.max(0.0001, canvas.stage.scale.x);
+    const { px: desiredPx, scale, w } = this._widths();
 
-    const aKey = InfluenceIndex.tokenKey(token);
+    const aRef = InfluenceIndex.tokenRef(token);
 
     for (const other of others) {
-      const bKey = InfluenceIndex.tokenKey(other);
+      const bRef = InfluenceIndex.tokenRef(other);
 
       // From hovered -> other?
-      const out = InfluenceIndex.hasEdgeFromKeyToKey(aKey, bKey);
+      const out = InfluenceIndex.hasEdge(aRef, bRef);
       // other -> hovered?
-      const inn = InfluenceIndex.hasEdgeFromKeyToKey(bKey, aKey);
+      const inn = InfluenceIndex.hasEdge(bRef, aRef);
 
       let color = null;
       if (out && inn) color = COLOR_MUT;
@@ -117,7 +136,7 @@ const InfluenceLines = {
       g.lineTo(p2.x, p2.y);
 
       // Subtle endpoints
-      const r = (desiredPx * 0.5) / Math.max(0.0001, canvas.stage.scale.x);
+      const r = (desiredPx * 0.5) / scale;
       g.beginFill(color, Math.min(this.alpha, 0.7));
       g.drawCircle(p1.x, p1.y, r);
       g.drawCircle(p2.x, p2.y, r);
@@ -125,7 +144,165 @@ const InfluenceLines = {
     }
   },
 
+  /**
+   * Show-all overlay: one Graphics + label per directed edge, keyed "fromId>toId".
+   * Kept between passes so a moving token only redraws its own edges.
+   */
+  edges: new Map(),
+
+  /**
+   * Sync the show-all overlay with every Influence edge between visible tokens.
+   * One-way edges are straight green arrows (influencer → influenced);
+   * mutual pairs are two blue arcs bowed apart, one per direction.
+   * Walks token pairs once; existing edges and labels are reused.
+   */
+  drawAll() {
+    if (!canvas?.stage || !this.enabled) return;
+    if (!this.container) this.ensureContainer();
+
+    // Drop hover lines (if any) before the overlay takes over
+    if (!this.edges.size) this.clear();
+
+    const tokens = (canvas.tokens?.placeables ?? []).filter(t => t.visible && t.actor);
+    const refs = tokens.map(t => InfluenceIndex.tokenRef(t));
+    const wanted = new Map();
+    const want = (from, to, color, bend) => wanted.set(`${from.id}>${to.id}`, { from: from.id, to: to.id, color, bend });
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i + 1; j < tokens.length; j++) {
+        const a = tokens[i];
+        const b = tokens[j];
+        const out = InfluenceIndex.hasEdge(refs[i], refs[j]);
+        const inn = InfluenceIndex.hasEdge(refs[j], refs[i]);
+        if (out && inn) {
+          want(a, b, COLOR_MUT, 0.15);
+          want(b, a, COLOR_MUT, 0.15);
+        } else if (out) {
+          want(a, b, COLOR_OUT, 0);
+        } else if (inn) {
+          want(b, a, COLOR_OUT, 0);
+        }
+      }
+    }
+
+    for (const [key, edge] of this.edges) {
+      if (wanted.has(key)) continue;
+      this._dropEdge(edge);
+      this.edges.delete(key);
+    }
+    for (const [key, spec] of wanted) {
+      const edge = this.edges.get(key) ?? this._makeEdge();
+      Object.assign(edge, spec);
+      this.edges.set(key, edge);
+    }
+    this.moveEdges();
+  },
+
+  /** Redraw the geometry of the overlay's edges (all, or those touching one token). */
+  moveEdges(tokenId = null) {
+    if (!this.edges.size || !canvas?.stage) return;
+    const widths = this._widths();
+    this._drawnScale = widths.scale;
+    for (const edge of this.edges.values()) {
+      if (tokenId && edge.from !== tokenId && edge.to !== tokenId) continue;
+      const from = canvas.tokens?.get(edge.from);
+      const to = canvas.tokens?.get(edge.to);
+      if (from && to) this._arrow(edge, from, to, widths);
+    }
+  },
+
+  _makeEdge() {
+    const g = new PIXI.Graphics();
+    const label = new PIXI.Text("", {
+      fontFamily: "Signika",
+      fontSize: 13,
+      fill: 0xffffff,
+      stroke: 0x000000,
+      strokeThickness: 3
+    });
+    label.anchor.set(0.5);
+    this.container.addChild(g, label);
+    return { g, label };
+  },
+
+  _dropEdge(edge) {
+    for (const c of [edge.g, edge.label]) {
+      try {
+        c.parent?.removeChild(c);
+        c.destroy();
+      } catch (_) {}
+    }
+  },
+
+  /**
+   * One directed edge: a quadratic curve bowed to its left by `bend` × length
+   * (0 = straight), trimmed to the token edges, with an arrowhead and label.
+   */
+  _arrow(edge, from, to, { px, scale, w }) {
+    const { g, label, color, bend } = edge;
+    g.clear();
+    const p1 = from.center;
+    const p2 = to.center;
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const len = Math.hypot(dx, dy);
+    label.visible = len >= 1;
+    if (len < 1) return;
+
+    // Control point: midpoint pushed along the normal (mirrored for the reverse edge)
+    const c = { x: (p1.x + p2.x) / 2 - (dy * bend), y: (p1.y + p2.y) / 2 + (dx * bend) };
+
+    // Trim both ends to the token footprint so arrowheads stay visible
+    const trim = (p, toward, t) => {
+      const r = Math.min(t.w, t.h) * 0.45;
+      const vx = toward.x - p.x;
+      const vy = toward.y - p.y;
+      const d = Math.hypot(vx, vy) || 1;
+      return { x: p.x + (vx / d) * r, y: p.y + (vy / d) * r };
+    };
+    const s = trim(p1, c, from);
+    const e = trim(p2, c, to);
+
+    g.lineStyle({ color, width: w, alpha: this.alpha, alignment: 0.5, cap: "round", join: "round" });
+    g.moveTo(s.x, s.y);
+    if (bend) g.quadraticCurveTo(c.x, c.y, e.x, e.y);
+    else g.lineTo(e.x, e.y);
+
+    // Arrowhead along the curve's end tangent
+    const tx = e.x - c.x;
+    const ty = e.y - c.y;
+    const td = Math.hypot(tx, ty) || 1;
+    const ux = tx / td;
+    const uy = ty / td;
+    const head = (px * 3) / scale;
+    g.lineStyle(0);
+    g.beginFill(color, Math.min(this.alpha + 0.2, 1));
+    g.drawPolygon([
+      e.x, e.y,
+      e.x - (ux * head) - (uy * head * 0.6), e.y - (uy * head) + (ux * head * 0.6),
+      e.x - (ux * head) + (uy * head * 0.6), e.y - (uy * head) - (ux * head * 0.6)
+    ]);
+    g.endFill();
+
+    // Label at the curve's midpoint, kept at a constant screen size
+    const m = bend
+      ? { x: (0.25 * s.x) + (0.5 * c.x) + (0.25 * e.x), y: (0.25 * s.y) + (0.5 * c.y) + (0.25 * e.y) }
+      : { x: (s.x + e.x) / 2, y: (s.y + e.y) / 2 };
+    const text = `${from.document?.name ?? from.actor.name} → ${to.document?.name ?? to.actor.name}`;
+    if (label.text !== text) label.text = text;
+    label.scale.set(1 / scale);
+    label.position.set(m.x, m.y);
+    label.alpha = Math.min(this.alpha + 0.3, 1);
+  },
+
+  /** Full show-all sync, coalesced: hooks can fire in bursts. */
+  _scheduleAll: foundry.utils.debounce(() => InfluenceLines.drawAll(), 50),
+
   _redrawIfActive() {
+    if (this.showAll) {
+      this._scheduleAll();
+      return;
+    }
     if (!this.currentHoverTokenId) return;
     const tok = canvas.tokens?.get(this.currentHoverTokenId);
     if (!tok || !tok.actor) {
@@ -138,6 +315,41 @@ const InfluenceLines = {
 
 /* --------------------------------- Hooks ---------------------------------- */
 
+// Whole-cast graph viewer (works without a scene or tokens)
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!controls?.tokens?.tools) return;
+  controls.tokens.tools.influenceGraph = {
+    layer: "tokens",
+    name: "influenceGraph",
+    title: "Influence Graph",
+    icon: "fa-solid fa-diagram-project",
+    button: true,
+    onClick: () => InfluenceGraphApp.open(),
+    visible: true
+  };
+  // Keep every edge on the scene drawn (hover still works while it's off)
+  controls.tokens.tools.influenceShowAll = {
+    layer: "tokens",
+    name: "influenceShowAll",
+    title: "Show All Influence Lines",
+    icon: "fa-solid fa-circle-nodes",
+    toggle: true,
+    active: InfluenceLines.showAll,
+    onChange: (event, active) => game.settings.set(NS, KEY_SHOW_ALL, !!active),
+    visible: true
+  };
+  // GM: locks and expiry for every entry
+  controls.tokens.tools.influenceManager = {
+    layer: "tokens",
+    name: "influenceManager",
+    title: "Influence Manager",
+    icon: "fa-solid fa-user-lock",
+    button: true,
+    onClick: () => InfluenceManagerApp.open(),
+    visible: game.user?.isGM === true
+  };
+});
+
 Hooks.once("init", () => {
   // Settings
   game.settings.register(NS, KEY_ENABLED, {
@@ -150,6 +362,19 @@ Hooks.once("init", () => {
     onChange: () => {
       InfluenceLines.clear();
       InfluenceLines.currentHoverTokenId = null;
+      InfluenceLines._redrawIfActive();
+    }
+  });
+
+  game.settings.register(NS, KEY_SHOW_ALL, {
+    name: "Influence Lines: Show All",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => {
+      InfluenceLines.clear();
+      InfluenceLines._redrawIfActive();
     }
   });
 
@@ -175,6 +400,16 @@ Hooks.once("init", () => {
     onChange: () => InfluenceLines._redrawIfActive()
   });
 
+  // GM review: upgrade name-only entries to exact actor links
+  game.settings.registerMenu(NS, "influenceLinksMenu", {
+    name: "Influence Links",
+    label: "Review Influence Links",
+    hint: "Link existing Influence names to actors so matching is exact. Unique names link in one click; ambiguous ones are listed for review.",
+    icon: "fa-solid fa-link",
+    type: InfluenceLinksApp,
+    restricted: true
+  });
+
   // Ensure helpers are ready (minimal no-op, but makes intent explicit)
   registerInfluenceHelpers();
 });
@@ -187,8 +422,17 @@ Hooks.once("ready", () => {
     InfluenceLines.ensureContainer();
     InfluenceLines.clear();
     InfluenceIndex.invalidateAllTokens();
+    InfluenceLines._redrawIfActive();
   });
 
+  // Show-all keeps constant-pixel widths and labels across zoom
+  Hooks.on("canvasPan", () => {
+    if (InfluenceLines.showAll && InfluenceLines._drawnScale !== canvas.stage?.scale.x) InfluenceLines.moveEdges();
+  });
+
+  // Index rebuilt (any Influence edit) — redraw the overlay
+  Hooks.on("masksInfluenceRebuilt", () => InfluenceLines._redrawIfActive());
+
   // Hover behavior — now works for both PCs and NPCs
   Hooks.on("hoverToken", (token, hovered) => {
     if (!InfluenceLines.enabled) {
@@ -198,12 +442,12 @@ Hooks.once("ready", () => {
     }
     if (hovered) {
       InfluenceLines.currentHoverTokenId = token?.id ?? null;
-      InfluenceLines.drawFor(token);
+      if (!InfluenceLines.showAll) InfluenceLines.drawFor(token);
     } else {
       if (InfluenceLines.currentHoverTokenId === token?.id) {
         InfluenceLines.currentHoverTokenId = null;
       }
-      InfluenceLines.clear();
+      if (!InfluenceLines.showAll) InfluenceLines.clear();
     }
   });
 
@@ -214,7 +458,15 @@ Hooks.once("ready", () => {
     InfluenceLines._redrawIfActive();
   });
   Hooks.on("controlToken",   () => InfluenceLines._redrawIfActive());
-  Hooks.on("refreshToken",   () => InfluenceLines._redrawIfActive());
+  // Fires every frame while a token animates: show-all only moves that token's edges
+  Hooks.on("refreshToken", (token) => {
+    if (InfluenceLines.showAll) InfluenceLines.moveEdges(token?.id);
+    else InfluenceLines._redrawIfActive();
+  });
+  // Vision changes which tokens are visible
+  Hooks.on("sightRefresh", () => {
+    if (InfluenceLines.showAll) InfluenceLines._scheduleAll();
+  });
   Hooks.on("deleteToken",    () => InfluenceLines._redrawIfActive());
 
   Hooks.on("updateActor", (actor, changes) => {
@@ -0,0 +1,340 @@
+/* global game, ui, Hooks, ChatMessage, CONST, renderTemplate, foundry, Dialog */
+
+/**
+ * labels.mjs — Shift Labels
+ * -----------------------------------------------------------------------------
+ * Someone with Influence over a hero shifts one Label up and another down.
+ *
+ * Entry points:
+ *   • Token controls "Shift Labels" — source/target resolved like Quick Influence
+ *     (controlled token or User Character ⇒ influencer; target/Shift-pick/dialog ⇒ hero)
+ *   • "Shift Labels" in a Character sheet's header (influencer picked in the dialog)
+ *
+ * Rules:
+ *   - Bounds are the sheet config's minMod/maxMod (−3/+4).
+ *   - A half that would leave the range is replaced by marking a condition
+ *     (picked in a prompt); the prompt can also cancel the whole shift.
+ *   - The other half still applies.
+ *
+ * Writes go straight to the hero when the user owns it; otherwise the shift
+ * itself (which Label goes up, which down, any condition picked instead) is
+ * relayed to the primary GM. The GM checks that the sender owns an
+ * influencer with Influence over the hero, then re-applies the shift to the
+ * hero's current values within bounds. The before → after is posted to chat.
+ */
+
+import { NS, InfluenceIndex } from "./helpers/influence.mjs";
+import { QuickInfluence } from "./tools.mjs";
+
+const SOCKET_NS = "module.masks-newgeneration-extensions";
+const LABEL_KEYS = ["danger", "freak", "savior", "superior", "mundane"];
+const PATH_CONDITIONS = "system.attributes.conditions.options";
+const MIN_MOD = -3; // config-sheet.mjs minMod
+const MAX_MOD = 4;  // config-sheet.mjs maxMod
+
+const statPath = (key) => `system.stats.${key}.value`;
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+function bounds() {
+  const cfg = game.pbta?.sheetConfig;
+  return {
+    min: Number.isFinite(cfg?.minMod) ? cfg.minMod : MIN_MOD,
+    max: Number.isFinite(cfg?.maxMod) ? cfg.maxMod : MAX_MOD
+  };
+}
+
+function labelName(key) {
+  return game.pbta?.sheetConfig?.actorTypes?.character?.stats?.[key]?.label ||
+    key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/** Unmarked conditions as [{ key, label }] (label without the "(-2 …)" suffix). */
+function openConditions(actor) {
+  const opts = foundry.utils.getProperty(actor, PATH_CONDITIONS) ?? {};
+  return Object.entries(opts)
+    .filter(([, o]) => o?.value !== true)
+    .map(([key, o]) => ({ key, label: String(o?.label ?? key).split("(")[0].trim() }));
+}
+
+/**
+ * Update data for one shift on the hero's current values: each half moves its
+ * Label by 1 if that stays in bounds, else marks the condition picked for that
+ * half (if it is still unmarked).
+ * @param {{up?: string|null, down?: string|null}} conds condition keys per half
+ */
+function shiftUpdate(hero, up, down, conds = {}) {
+  const { min, max } = bounds();
+  const update = {};
+  for (const [key, step, half] of [[up, 1, "up"], [down, -1, "down"]]) {
+    const after = (Number(foundry.utils.getProperty(hero, statPath(key))) || 0) + step;
+    if (after >= min && after <= max) {
+      update[statPath(key)] = after;
+      continue;
+    }
+    const cond = conds[half] ? foundry.utils.getProperty(hero, `${PATH_CONDITIONS}.${conds[half]}`) : null;
+    if (cond && cond.value !== true) update[`${PATH_CONDITIONS}.${conds[half]}.value`] = true;
+  }
+  return update;
+}
+
+/** Whether an influencer has Influence over the hero. */
+function hasInfluence(influencer, hero) {
+  return !!influencer && InfluenceIndex.hasEdge(InfluenceIndex.actorRef(influencer), InfluenceIndex.actorRef(hero));
+}
+
+function primaryGMId() {
+  const gms = (game.users?.contents ?? []).filter(u => u?.isGM && u?.active);
+  gms.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return gms[0]?.id ?? null;
+}
+
+export const ShiftLabels = {
+  /** Token-controls entry: influencer = you, hero = your target. */
+  async run(evt) {
+    const src = await QuickInfluence._resolveSource();
+    if (!src) return;
+    const tok = await QuickInfluence._resolveTarget(src, evt);
+    if (!tok) return;
+    return this.open(tok.actor, src.actor);
+  },
+
+  /**
+   * Shift dialog for a hero.
+   * @param {Actor} hero
+   * @param {Actor|null} [influencer] preselected influencer
+   */
+  async open(hero, influencer = null) {
+    if (hero?.isToken) hero = game.actors?.get(hero.token?.actorId) ?? hero;
+    if (hero?.type !== "character") {
+      ui.notifications?.warn?.("Only a Character's Labels can be shifted.");
+      return;
+    }
+
+    // Everyone with Influence over the hero, plus the preselected influencer
+    const heroRef = InfluenceIndex.actorRef(hero);
+    const influencers = (game.actors?.contents ?? [])
+      .filter(a => a.id !== hero.id)
+      .map(a => ({ actor: a, hasInfluence: InfluenceIndex.hasEdge(InfluenceIndex.actorRef(a), heroRef) }))
+      .filter(x => x.hasInfluence || x.actor.id === influencer?.id)
+      .sort((a, b) => a.actor.name.localeCompare(b.actor.name))
+      .map(x => ({ id: x.actor.id, name: x.actor.name, hasInfluence: x.hasInfluence, selected: x.actor.id === influencer?.id }));
+
+    const { min, max } = bounds();
+    const content = await renderTemplate(`modules/${NS}/templates/labels-shift.hbs`, {
+      influencers,
+      labels: LABEL_KEYS.map(key => {
+        const value = Number(foundry.utils.getProperty(hero, statPath(key))) || 0;
+        return { key, label: labelName(key), valueLabel: signed(value) };
+      }),
+      min: signed(min),
+      max: signed(max)
+    });
+
+    const picked = await new Promise((resolve) => {
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title: `Shift ${hero.name}’s Labels`,
+        content,
+        buttons: {
+          ok: {
+            label: "Shift",
+            callback: html => {
+              const form = html[0].querySelector("form");
+              resolve({
+                influencerId: form?.influencer?.value ?? "",
+                up: form?.querySelector("input[name='up']:checked")?.value ?? null,
+                down: form?.querySelector("input[name='down']:checked")?.value ?? null
+              });
+            }
+          },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+    if (!picked?.up || !picked?.down) return;
+    if (picked.up === picked.down) {
+      ui.notifications?.warn?.("Pick two different Labels: one up, one down.");
+      return;
+    }
+
+    return this.shift(hero, { up: picked.up, down: picked.down, influencer: game.actors?.get(picked.influencerId) ?? null });
+  },
+
+  /**
+   * Apply a shift. Out-of-range halves prompt for a condition instead.
+   * @param {Actor} hero
+   * @param {{up: string, down: string, influencer?: Actor|null}} opts
+   * @returns {Promise<object|undefined>} the update written (or relayed)
+   */
+  async shift(hero, { up, down, influencer = null }) {
+    const canWrite = game.user?.isGM || hero.isOwner === true;
+    if (!canWrite && !(influencer?.isOwner && hasInfluence(influencer, hero))) {
+      ui.notifications?.warn?.(`Pick an influencer you own with Influence over ${hero.name} to shift their Labels.`);
+      return;
+    }
+
+    const { min, max } = bounds();
+    const conds = {};
+    const lines = [];
+    const available = openConditions(hero);
+
+    for (const [key, step, half] of [[up, 1, "up"], [down, -1, "down"]]) {
+      const before = Number(foundry.utils.getProperty(hero, statPath(key))) || 0;
+      const after = before + step;
+      if (after >= min && after <= max) {
+        lines.push(`${labelName(key)}: ${signed(before)} → <b>${signed(after)}</b> ${step > 0 ? "⬆" : "⬇"}`);
+        continue;
+      }
+
+      // Out of range: the hero loses their cool and marks a condition instead
+      const edge = step > 0 ? `above ${signed(max)}` : `below ${signed(min)}`;
+      if (!available.length) {
+        lines.push(`${labelName(key)} can’t go ${edge}, and every condition is already marked.`);
+        continue;
+      }
+      const cond = await this._pickCondition(hero, `${labelName(key)} can’t go ${edge}. Mark a condition instead:`, available);
+      if (cond === null) return; // cancel the whole shift
+      available.splice(available.findIndex(c => c.key === cond.key), 1);
+      conds[half] = cond.key;
+      lines.push(`${labelName(key)} can’t go ${edge}: marks <b>${foundry.utils.escapeHTML(cond.label)}</b> instead.`);
+    }
+
+    const update = shiftUpdate(hero, up, down, conds);
+    if (Object.keys(update).length) {
+      if (canWrite) {
+        await hero.update(update);
+      } else if (primaryGMId()) {
+        game.socket?.emit(SOCKET_NS, {
+          action: "shiftLabels",
+          actorId: hero.id,
+          up,
+          down,
+          conds,
+          influencerId: influencer.id,
+          userId: game.user?.id
+        });
+      } else {
+        ui.notifications?.warn?.("A GM must be online to shift another player’s Labels.");
+        return;
+      }
+    }
+
+    await this._announce(hero, influencer, lines);
+    return update;
+  },
+
+  /** Condition picker; resolves { key, label } or null on cancel. */
+  _pickCondition(hero, prompt, conditions) {
+    const opts = conditions.map(c => `<option value="${c.key}">${foundry.utils.escapeHTML(c.label)}</option>`).join("");
+    return new Promise((resolve) => {
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title: `${hero.name} loses their cool`,
+        content: `
+          <form style="margin-bottom:8px;">
+            <p>${prompt}</p>
+            <div class="form-group">
+              <label>Condition</label>
+              <select name="choice">${opts}</select>
+            </div>
+          </form>`,
+        buttons: {
+          ok: {
+            label: "Mark",
+            callback: html => {
+              const key = html[0].querySelector("select[name='choice']")?.value;
+              resolve(conditions.find(c => c.key === key) ?? null);
+            }
+          },
+          cancel: { label: "Cancel shift", callback: () => resolve(null) }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+  },
+
+  async _announce(hero, influencer, lines) {
+    const esc = foundry.utils.escapeHTML;
+    const who = influencer?.name ?? game.user?.name ?? "Someone";
+    let content = `<h6><span style="display:inline-block;padding:0 .35rem;border-radius:.25rem;font-weight:700;background:#2196F3;color:#fff">⇅</span> ${esc(who)} shifts ${esc(hero.name)}’s Labels</h6>`;
+    if (influencer && !hasInfluence(influencer, hero)) {
+      content += `<em>(no Influence recorded)</em><br/>`;
+    }
+    content += lines.join("<br/>");
+    await ChatMessage.create({ content, type: CONST.CHAT_MESSAGE_TYPES.OTHER });
+  },
+
+  /** GM-side socket application for players shifting a hero they don't own. */
+  async _gmApplyFromSocket(data) {
+    if (data?.action !== "shiftLabels" || game.user?.id !== primaryGMId()) return;
+    const hero = game.actors?.get(data.actorId);
+    const user = game.users?.get(data.userId);
+    const influencer = game.actors?.get(data.influencerId);
+    if (hero?.type !== "character" || !user) return;
+    // Exactly one Label up and one down, by a user who owns an influencer with Influence over the hero
+    const { up, down } = data;
+    if (!LABEL_KEYS.includes(up) || !LABEL_KEYS.includes(down) || up === down) return;
+    if (!influencer?.testUserPermission(user, "OWNER") || !hasInfluence(influencer, hero)) {
+      console.warn(`[${NS}] Ignored a Shift Labels relay from ${user.name}: no Influence over ${hero.name}`);
+      return;
+    }
+    const conds = { up: data.conds?.up ?? null, down: data.conds?.down ?? null };
+    const update = shiftUpdate(hero, up, down, conds);
+    if (!Object.keys(update).length) return;
+    try { await hero.update(update); }
+    catch (err) { console.error(`[${NS}] Shift Labels relay failed`, err); }
+  }
+};
+
+/* ------------------------------- Entry points ------------------------------ */
+
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!controls?.tokens?.tools) return;
+  controls.tokens.tools.shiftLabels = {
+    layer: "tokens",
+    name: "shiftLabels",
+    title: "Shift target's Labels",
+    icon: "fa-solid fa-arrow-down-up-across-line",
+    button: true,
+    onClick: (evt) => ShiftLabels.run(evt),
+    visible: true
+  };
+});
+
+/** Influencer default for the sheet button: your character, unless it's this hero. */
+function sheetInfluencer(hero) {
+  const mine = game.user?.character;
+  return mine && mine.id !== hero.id ? mine : null;
+}
+
+Hooks.on("getActorSheetHeaderButtons", (app, buttons) => {
+  const hero = app.actor ?? app.document;
+  if (hero?.type !== "character") return;
+  buttons.unshift({
+    label: "Shift Labels",
+    class: "masks-shift-labels",
+    icon: "fa-solid fa-arrow-down-up-across-line",
+    onclick: () => ShiftLabels.open(hero, sheetInfluencer(hero))
+  });
+});
+
+Hooks.on("getHeaderControlsActorSheetV2", (app, controls) => {
+  const hero = app.actor ?? app.document;
+  if (hero?.type !== "character") return;
+  controls.push({
+    icon: "fa-solid fa-arrow-down-up-across-line",
+    label: "Shift Labels",
+    onClick: () => ShiftLabels.open(hero, sheetInfluencer(hero))
+  });
+});
+
+Hooks.once("ready", () => {
+  try {
+    game.socket?.on(SOCKET_NS, (data) => ShiftLabels._gmApplyFromSocket(data));
+  } catch (err) {
+    console.warn(`[${NS}] Socket unavailable; Shift Labels relay disabled.`, err);
+  }
+});
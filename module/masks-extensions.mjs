@@ -1,9 +1,15 @@
 import './influence.mjs';
+import './influence-history.mjs';
+import './influence-expiry.mjs';
+import './influence-rolls.mjs';
 import './team.mjs';
 import './tools.mjs';
+import './labels.mjs';
 import './xcard.mjs'
 import './advantage.mjs'
+import './forward-rolls.mjs'
 import './encounter-tracker.mjs'
+import './scene-spotlight.mjs'
 import './conditions.mjs'
 import './health.mjs'
 // import { configSheet } from "./helpers/config-sheet.mjs";
@@ -0,0 +1,175 @@
+/* global game, ui, canvas, Hooks, foundry, ChatMessage, CONST */
+
+/**
+ * scene-spotlight.mjs
+ * ---------------------------------------------------------------------------
+ * Acted-this-round marks without a Combat encounter ("Scene Spotlight").
+ *
+ * - Who is tracked (world setting): the non-hidden tokens on the scene, or the
+ *   players' assigned Characters.
+ * - Anyone can mark their own hero; the GM can mark anyone. The scene is
+ *   written by the primary GM, so players' marks go over the module socket.
+ * - Marks are scoped to the scene's current panel (round). "New panel" starts
+ *   the next one; with "Advance the round when everyone has acted" on, that
+ *   happens by itself and a "New panel" card is posted.
+ * - Heroes' marks go in the same spotlight log as combat marks, so the GM
+ *   Spotlight panel's session counts include out-of-combat scenes.
+ *
+ * Storage:
+ *   scene flags[masks-newgeneration-extensions].sceneSpotlight =
+ *     { round: <n>, acted: { "<key>": <round> } }    key = "t:<tokenId>" | "a:<actorId>"
+ */
+
+import { NS, recordSpotlight } from "./helpers/spotlight.mjs";
+import { SceneSpotlightApp } from "./apps/scene-spotlight.mjs";
+
+const SOCKET_NS = "module.masks-newgeneration-extensions";
+const FLAG_SCENE = "sceneSpotlight";
+const KEY_SOURCE = "sceneSpotlightSource";
+const KEY_AUTO_ADVANCE = "actedAutoAdvance"; // registered in encounter-tracker.mjs
+const SOURCES = {
+  tokens: "Tokens on the scene",
+  characters: "Players' Characters"
+};
+
+function primaryGMId() {
+  const gms = (game.users?.contents ?? []).filter(u => u?.isGM && u?.active);
+  gms.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return gms[0]?.id ?? null;
+}
+
+/** The scene this client is looking at. */
+export function currentScene() {
+  return canvas?.scene ?? game.scenes?.viewed ?? null;
+}
+
+/** { round, acted } for a scene. */
+export function spotlightState(scene) {
+  const s = scene?.getFlag(NS, FLAG_SCENE) ?? {};
+  return { round: Math.max(1, Number(s.round) || 1), acted: { ...(s.acted ?? {}) } };
+}
+
+/**
+ * Everyone tracked on a scene.
+ * @returns {Array<{key: string, name: string, img: string, actor: Actor|null}>}
+ */
+export function participants(scene) {
+  if (!scene) return [];
+  if (game.settings.get(NS, KEY_SOURCE) === "characters") {
+    const seen = new Set();
+    return (game.users?.contents ?? [])
+      .filter(u => !u.isGM && u.character && !seen.has(u.character.id) && seen.add(u.character.id))
+      .map(u => ({ key: `a:${u.character.id}`, name: u.character.name, img: u.character.img, actor: u.character }));
+  }
+  return scene.tokens.contents
+    .filter(t => t.actor && !t.hidden)
+    .map(t => ({ key: `t:${t.id}`, name: t.name, img: t.texture?.src ?? t.actor.img, actor: t.actor }));
+}
+
+/** World actor behind a participant, for ownership checks and the log. */
+function baseActor(actor) {
+  return actor?.isToken ? (game.actors?.get(actor.token?.actorId) ?? actor) : actor;
+}
+
+/** Whether a user may mark a participant (GM, or an owner of its actor). */
+export function canMark(p, user = game.user) {
+  return user?.isGM === true || baseActor(p?.actor)?.testUserPermission?.(user, "OWNER") === true;
+}
+
+/**
+ * Mark (or unmark) a participant for the current panel. Players relay to the GM.
+ * @param {Scene} scene
+ * @param {string} key
+ * @param {boolean} acted
+ */
+export async function markActed(scene, key, acted) {
+  if (!scene) return;
+  if (game.user?.id !== primaryGMId()) {
+    if (!primaryGMId()) {
+      ui.notifications?.warn?.("A GM must be online to mark the Scene Spotlight.");
+      return;
+    }
+    game.socket?.emit(SOCKET_NS, { action: "sceneSpotlightMark", sceneId: scene.id, key, acted: !!acted, userId: game.user?.id });
+    return;
+  }
+
+  const p = participants(scene).find(x => x.key === key);
+  if (!p) return;
+  const { round } = spotlightState(scene);
+  try {
+    await scene.update({ [`flags.${NS}.${FLAG_SCENE}.acted.${acted ? key : `-=${key}`}`]: acted ? round : null });
+  } catch (err) {
+    console.error(`[${NS}] Failed to mark Scene Spotlight`, err);
+    return;
+  }
+  const hero = baseActor(p.actor);
+  if (hero?.type === "character") await recordSpotlight(hero, { sceneId: scene.id }, round, !!acted);
+  await maybeAdvance(scene);
+}
+
+/** GM: start the next panel (clears every mark). */
+export async function newPanel(scene, { announce = true } = {}) {
+  if (!scene || !game.user?.isGM) return;
+  const { round, acted } = spotlightState(scene);
+  // Flag objects merge on update, so each old mark needs an explicit deletion
+  const update = { [`flags.${NS}.${FLAG_SCENE}.round`]: round + 1 };
+  for (const key of Object.keys(acted)) update[`flags.${NS}.${FLAG_SCENE}.acted.-=${key}`] = null;
+  await scene.update(update);
+  if (announce) {
+    await ChatMessage.create({
+      content: `<h6><i class="fa-solid fa-book-open"></i> New panel</h6>Panel ${round + 1} begins on ${foundry.utils.escapeHTML(scene.name)}.`,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER
+    });
+  }
+}
+
+/** Primary GM: everyone has acted this panel → start the next one. */
+async function maybeAdvance(scene) {
+  if (game.user?.id !== primaryGMId() || !game.settings.get(NS, KEY_AUTO_ADVANCE)) return;
+  const list = participants(scene);
+  const { round, acted } = spotlightState(scene);
+  if (list.length && list.every(p => acted[p.key] === round)) await newPanel(scene);
+}
+
+/* ---------------------------------- Hooks --------------------------------- */
+
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!controls?.tokens?.tools) return;
+  controls.tokens.tools.sceneSpotlight = {
+    layer: "tokens",
+    name: "sceneSpotlight",
+    title: "Scene Spotlight (acted this panel)",
+    icon: "fa-solid fa-person-rays",
+    button: true,
+    onClick: () => SceneSpotlightApp.open(),
+    visible: true
+  };
+});
+
+Hooks.once("init", () => {
+  game.settings.register(NS, KEY_SOURCE, {
+    name: "Scene Spotlight: who is tracked",
+    hint: "Out-of-combat acted marks track either the visible tokens on the scene or the players' assigned Characters.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: SOURCES,
+    default: "tokens",
+    onChange: () => SceneSpotlightApp.refresh()
+  });
+});
+
+Hooks.once("ready", () => {
+  try {
+    game.socket?.on(SOCKET_NS, async (data) => {
+      if (data?.action !== "sceneSpotlightMark" || game.user?.id !== primaryGMId()) return;
+      const scene = game.scenes?.get(data.sceneId);
+      const user = game.users?.get(data.userId);
+      const p = participants(scene).find(x => x.key === data.key);
+      if (!scene || !p || !canMark(p, user)) return;
+      await markActed(scene, data.key, !!data.acted);
+    });
+  } catch (err) {
+    console.warn(`[${NS}] Socket unavailable; players can't mark the Scene Spotlight.`, err);
+  }
+});
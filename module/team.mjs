@@ -1,5 +1,9 @@
 // masks-newgeneration-extensions / team.js
-/* global game, ui, Hooks, ChatMessage, CONST, renderTemplate, foundry */
+/* global game, ui, Hooks, ChatMessage, CONST, renderTemplate, foundry, Dialog, JournalEntry, Actor, fromUuidSync */
+
+import { TeamHistoryApp } from "./apps/team-history.mjs";
+import { QuickInfluence } from "./tools.mjs";
+import { grantUpdate } from "./advantage.mjs";
 
 const NS = "masks-newgeneration-extensions";
 
@@ -7,9 +11,17 @@ const NS = "masks-newgeneration-extensions";
 const KEY_ALLOW_EDIT = "playersCanEdit";  // UI gate only (document permission is the real control)
 const KEY_ANNOUNCE   = "announceChanges";
 const KEY_POSITION   = "hudPosition";
+const KEY_COORDS     = "hudCoords";     // client: { left, top } when position is "free"
+const KEY_COLLAPSED  = "hudCollapsed";  // client: show only the badge
+const KEY_ASK_REASON = "askSpendReason";
+const KEY_BATTLE_PROMPT = "battlePromptOnStart";
 // Used only to remember which Journal is our storage; value itself is *not* stored in settings.
 const KEY_TEAM_DOCID = "teamDocId";
 
+// GM relay: every pool write and Spend effect is applied by the primary GM
+const SOCKET_NS = "module.masks-newgeneration-extensions";
+const RELAY_TIMEOUT = 10000; // ms to wait for the GM to confirm a relayed write
+
 // Reference links (unchanged)
 const LINKS = [
   { uuid: "Compendium.masks-newgeneration-unofficial.moves.Item.x3abYvFtsiDsMNQa", label: "Enter Battle as a Team" },
@@ -22,29 +34,69 @@ const TEAM_DOC_NAME = "MASKS • Team Pool";
 const FLAG_PATH = `${NS}.team`;
 const FLAG_MARKER = `${NS}.isTeamDoc`; // to mark our doc
 const OWNER = (CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3);
+const OBSERVER = (CONST.DOCUMENT_OWNERSHIP_LEVELS?.OBSERVER ?? 2);
+// Extra named pools: same flags as the default doc plus a display name.
+const FLAG_POOL_NAME = "poolName";
+// Per-user choice of which pool the HUD shows (stored on the User so it follows them).
+const FLAG_ACTIVE_POOL = "activeTeamId";
+// Ledger of every change, stored beside the value on the same JournalEntry.
+const FLAG_HISTORY = "history";
+const HISTORY_LIMIT = 500; // past this many live entries, older ones move to an archive page
+const HISTORY_KEEP = 100;  // live entries left after archiving
+const FLAG_ARCHIVE_INDEX = "archiveIndex"; // on archive JournalEntryPages (1, 2, …)
+// Spend entries whose effect was applied: { [entryId]: timestamp } (set after the actor update)
+const FLAG_SPEND_APPLIED = "spendApplied";
+
+// What one point of Team can buy (see "Spending Team" / "Spending Team Selfishly")
+const SPEND_PURPOSES = Object.freeze({
+  bonus:   "+1 to their roll (as Forward)",
+  clear:   "Clear one of their conditions",
+  selfish: "Act selfishly: +1 to my own roll"
+});
+// Enter Battle as a Team: suggested Team per result (GM can edit before applying)
+const BATTLE_RESULTS = Object.freeze({
+  strong: { label: "10+",  team: (heroes) => heroes + 1 },
+  weak:   { label: "7–9",  team: (heroes) => heroes },
+  miss:   { label: "Miss", team: () => 1 }
+});
+const PATH_CONDITIONS = "system.attributes.conditions.options";
+
+const isTeamDoc = (j) => j?.getFlag?.(NS, "isTeamDoc") === true;
+
+function primaryGMId() {
+  const gms = (game.users?.contents ?? []).filter(u => u?.isGM && u?.active);
+  gms.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return gms[0]?.id ?? null;
+}
 
 const MasksTeamHUD = {
   root: null,
-  _teamDoc: null,
+  _teamDoc: null,    // the pool this user is looking at
+  _defaultDoc: null, // the world's original pool (teamDocId)
   _renderQueued: false,
+  _historyApp: null,
+  _writeChain: Promise.resolve(), // primary GM: pool writes run one at a time
+  _pendingWrites: new Map(),      // relayed writes awaiting the GM, by request id
 
   // --------- Storage helpers ----------
+  /** The world's default pool (the single pool in most worlds). */
   async _getTeamDoc({ createIfMissing = false } = {}) {
     // 1) Try by cached instance
-    if (this._teamDoc && game.journal?.has(this._teamDoc.id)) return this._teamDoc;
+    if (this._defaultDoc && game.journal?.has(this._defaultDoc.id)) return this._defaultDoc;
 
     // 2) Try via stored id
     const storedId = game.settings.get(NS, KEY_TEAM_DOCID);
     if (storedId) {
       const found = game.journal?.get(storedId);
-      if (found) return (this._teamDoc = found);
+      if (found) return (this._defaultDoc = found);
     }
 
-    // 3) Try to locate by flag or name
-    const fromFlag = game.journal?.find(j => j.getFlag(NS, "isTeamDoc") === true);
+    // 3) Try to locate by flag or name (prefer an unnamed, i.e. original, pool)
+    const fromFlag = game.journal?.find(j => isTeamDoc(j) && !j.getFlag(NS, FLAG_POOL_NAME))
+      ?? game.journal?.find(isTeamDoc);
     if (fromFlag) {
-      await game.settings.set(NS, KEY_TEAM_DOCID, fromFlag.id);
-      return (this._teamDoc = fromFlag);
+      if (game.user.isGM) await game.settings.set(NS, KEY_TEAM_DOCID, fromFlag.id);
+      return (this._defaultDoc = fromFlag);
     }
     const byName = game.journal?.find(j => (j.name ?? "") === TEAM_DOC_NAME);
     if (byName) {
@@ -52,8 +104,8 @@ const MasksTeamHUD = {
       if (game.user.isGM && byName.getFlag(NS, "isTeamDoc") !== true) {
         await byName.setFlag(NS, "isTeamDoc", true);
       }
-      await game.settings.set(NS, KEY_TEAM_DOCID, byName.id);
-      return (this._teamDoc = byName);
+      if (game.user.isGM) await game.settings.set(NS, KEY_TEAM_DOCID, byName.id);
+      return (this._defaultDoc = byName);
     }
 
     // 4) Create if requested and GM
@@ -67,13 +119,107 @@ const MasksTeamHUD = {
       const doc = await JournalEntry.create(data, { renderSheet: false });
       await game.settings.set(NS, KEY_TEAM_DOCID, doc.id);
       ui.notifications?.info?.("Created Team Pool journal with Owner permission for all players.");
-      return (this._teamDoc = doc);
+      return (this._defaultDoc = doc);
     }
 
     // 5) Not found and not GM: read-only until GM logs in once
     return null;
   },
 
+  /** Every pool this user can see, default pool first. */
+  get pools() {
+    const all = (game.journal?.contents ?? []).filter(j => isTeamDoc(j) && j.visible);
+    const defId = this._defaultDoc?.id;
+    return all.sort((a, b) => (a.id === defId ? -1 : b.id === defId ? 1 : this._poolLabel(a).localeCompare(this._poolLabel(b))));
+  },
+
+  _poolLabel(doc) {
+    return doc?.getFlag(NS, FLAG_POOL_NAME) || "Team";
+  },
+
+  /** "Team Pool", or "Team Pool (Away Team)" for a named pool. */
+  _chatLabel(doc = this._teamDoc) {
+    const name = doc?.getFlag(NS, FLAG_POOL_NAME);
+    return name ? `Team Pool (${foundry.utils.escapeHTML(name)})` : "Team Pool";
+  },
+
+  /** The pool this user last picked (User flag), else the default pool. */
+  async _getActiveDoc() {
+    const id = game.user?.getFlag(NS, FLAG_ACTIVE_POOL);
+    const chosen = id ? game.journal?.get(id) : null;
+    if (isTeamDoc(chosen) && chosen.visible) return chosen;
+    return this._getTeamDoc();
+  },
+
+  async setActivePool(id) {
+    const doc = game.journal?.get(id);
+    if (!isTeamDoc(doc) || !doc.visible) return;
+    this._teamDoc = doc;
+    await game.user?.setFlag(NS, FLAG_ACTIVE_POOL, doc.id);
+    await this.render();
+    if (this._historyApp?.rendered) this._historyApp.render();
+  },
+
+  /** GM: create another named pool with its own owners. */
+  async createPool() {
+    if (!game.user?.isGM) return;
+    const players = (game.users?.contents ?? []).filter(u => !u.isGM);
+    const boxes = players.map(u => `
+      <label class="checkbox"><input type="checkbox" name="owner" value="${u.id}" /> ${foundry.utils.escapeHTML(u.name)}</label>`).join("");
+
+    const picked = await new Promise((resolve) => {
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title: "New Team Pool",
+        content: `
+          <form style="margin-bottom:8px;">
+            <div class="form-group">
+              <label>Name</label>
+              <input type="text" name="name" placeholder="e.g. Away Team" autofocus />
+            </div>
+            <div class="form-group stacked">
+              <label>Owners (can edit this pool)</label>
+              ${boxes || `<p class="color-muted">No players in this world yet.</p>`}
+            </div>
+          </form>`,
+        buttons: {
+          ok: {
+            label: "Create",
+            callback: html => {
+              const form = html[0].querySelector("form");
+              resolve({
+                name: String(form.name?.value ?? "").trim(),
+                owners: [...form.querySelectorAll("input[name='owner']:checked")].map(i => i.value)
+              });
+            }
+          },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+    if (!picked?.name) return;
+
+    // Everyone can see the number; only the chosen owners can change it.
+    const ownership = { default: OBSERVER };
+    for (const id of picked.owners) ownership[id] = OWNER;
+    const doc = await JournalEntry.create({
+      name: `${TEAM_DOC_NAME} — ${picked.name}`,
+      pages: [],
+      ownership,
+      flags: { [NS]: { isTeamDoc: true, team: 0, [FLAG_POOL_NAME]: picked.name } }
+    }, { renderSheet: false });
+    if (doc) await this.setActivePool(doc.id);
+  },
+
+  /** GM: edit who owns the current pool (core ownership dialog). */
+  openPoolOwnership() {
+    if (!game.user?.isGM || !this._teamDoc) return;
+    const Cls = foundry.applications?.apps?.DocumentOwnershipConfig;
+    if (Cls) new Cls({ document: this._teamDoc }).render({ force: true });
+  },
+
   async _ensureTeamDocReady() {
     // GM ensures the doc exists and has correct permission + migrates old setting
     if (!game.user.isGM) return;
@@ -99,10 +245,22 @@ const MasksTeamHUD = {
     }
   },
 
+  _warnCannotEdit() {
+    if (!game.settings.get(NS, KEY_ALLOW_EDIT)) {
+      ui.notifications?.warn?.("Players cannot edit the Team pool right now (disabled in settings).");
+    } else {
+      ui.notifications?.warn?.("You don’t have permission to edit Team.");
+    }
+  },
+
   get _canEdit() {
+    return this._canEditDoc(this._teamDoc);
+  },
+
+  _canEditDoc(doc, user = game.user) {
     // UI gate: both the setting AND the document permission must allow
     const allowBySetting = game.settings.get(NS, KEY_ALLOW_EDIT);
-    return allowBySetting && (this._teamDoc?.isOwner === true);
+    return allowBySetting && (doc?.testUserPermission?.(user, "OWNER") === true);
   },
 
   _normalize(n) {
@@ -111,11 +269,42 @@ const MasksTeamHUD = {
   },
 
   get team() {
-    if (!this._teamDoc) return 0;
-    const v = Number(this._teamDoc.getFlag(NS, "team"));
+    return this._valueOf(this._teamDoc);
+  },
+
+  _valueOf(doc) {
+    if (!doc) return 0;
+    const v = Number(doc.getFlag(NS, "team"));
     return Number.isFinite(v) ? v : 0;
   },
 
+  /**
+   * Append-only ledger, oldest first: archive pages, then the live list.
+   * [{ id, delta, before, after, reason, userId, userName, timestamp, sceneId, sceneName, revertOf,
+   *    recipientId, recipientName, purpose, conditionKey }]
+   */
+  get history() {
+    return this._historyOf(this._teamDoc);
+  },
+
+  _historyOf(doc) {
+    const archived = this._archivePages(doc).flatMap(p => p.getFlag(NS, FLAG_HISTORY) ?? []);
+    return [...archived, ...this._liveHistory(doc)];
+  },
+
+  /** Entries still on the pool's own flags (the newest ones). */
+  _liveHistory(doc) {
+    const h = doc?.getFlag(NS, FLAG_HISTORY);
+    return Array.isArray(h) ? h : [];
+  },
+
+  /** The pool's archive pages, oldest first. */
+  _archivePages(doc) {
+    return (doc?.pages?.contents ?? [])
+      .filter(p => Number.isFinite(p.getFlag(NS, FLAG_ARCHIVE_INDEX)))
+      .sort((a, b) => a.getFlag(NS, FLAG_ARCHIVE_INDEX) - b.getFlag(NS, FLAG_ARCHIVE_INDEX));
+  },
+
   // --------- UI lifecycle ----------
   async mount() {
     // Clear previous
@@ -131,7 +320,7 @@ const MasksTeamHUD = {
 
     // Ensure storage (GM runs first-time setup; others proceed read-only until GM arrives)
     await this._ensureTeamDocReady();
-    this._teamDoc = await this._getTeamDoc();
+    this._teamDoc = await this._getActiveDoc();
 
     // Render and wire hooks
     await this.render();
@@ -141,8 +330,61 @@ const MasksTeamHUD = {
   applyPosition() {
     if (!this.root) return;
     const pos = game.settings.get(NS, KEY_POSITION);
-    this.root.classList.remove("pos-bottom-left", "pos-top-left", "pos-top-right");
+    this.root.classList.remove("pos-bottom-left", "pos-top-left", "pos-top-right", "pos-free");
     this.root.classList.add(`pos-${pos}`);
+
+    if (pos === "free") {
+      const { left, top } = game.settings.get(NS, KEY_COORDS) ?? {};
+      this._placeAt(left, top);
+    } else {
+      this.root.style.left = "";
+      this.root.style.top = "";
+    }
+  },
+
+  /** Move the free-floating HUD, clamped so it stays fully on screen. */
+  _placeAt(left, top) {
+    if (!this.root) return { left: 0, top: 0 };
+    const w = this.root.offsetWidth || 0;
+    const h = this.root.offsetHeight || 0;
+    const x = Math.min(Math.max(Number(left) || 0, 0), Math.max(0, window.innerWidth - w));
+    const y = Math.min(Math.max(Number(top) || 0, 0), Math.max(0, window.innerHeight - h));
+    this.root.style.left = `${Math.round(x)}px`;
+    this.root.style.top = `${Math.round(y)}px`;
+    return { left: Math.round(x), top: Math.round(y) };
+  },
+
+  /** Drag by the grip; switches the HUD to free positioning and remembers where it was dropped. */
+  _startDrag(ev) {
+    if (ev.button !== 0 || !this.root) return;
+    ev.preventDefault();
+    const handle = ev.currentTarget;
+    const rect = this.root.getBoundingClientRect();
+    const dx = ev.clientX - rect.left;
+    const dy = ev.clientY - rect.top;
+
+    this.root.classList.remove("pos-bottom-left", "pos-top-left", "pos-top-right");
+    this.root.classList.add("pos-free", "dragging");
+    this._placeAt(rect.left, rect.top);
+    handle.setPointerCapture?.(ev.pointerId);
+
+    let last = { left: rect.left, top: rect.top };
+    const onMove = (e) => { last = this._placeAt(e.clientX - dx, e.clientY - dy); };
+    const onUp = async () => {
+      handle.removeEventListener("pointermove", onMove);
+      handle.removeEventListener("pointerup", onUp);
+      handle.removeEventListener("pointercancel", onUp);
+      this.root?.classList.remove("dragging");
+      await game.settings.set(NS, KEY_COORDS, last);
+      if (game.settings.get(NS, KEY_POSITION) !== "free") await game.settings.set(NS, KEY_POSITION, "free");
+    };
+    handle.addEventListener("pointermove", onMove);
+    handle.addEventListener("pointerup", onUp);
+    handle.addEventListener("pointercancel", onUp);
+  },
+
+  async toggleCollapsed() {
+    await game.settings.set(NS, KEY_COLLAPSED, !game.settings.get(NS, KEY_COLLAPSED));
   },
 
   async render() {
@@ -151,29 +393,50 @@ const MasksTeamHUD = {
     const canEdit = this._canEdit;
     const team = this.team;
 
+    const activeId = this._teamDoc?.id ?? null;
+    const pools = this.pools.map(d => ({ id: d.id, label: this._poolLabel(d), active: d.id === activeId }));
+
     const html = await renderTemplate(`modules/${NS}/templates/team.hbs`, {
       team,
       canEdit,
+      isGM: game.user?.isGM === true,
+      label: this._poolLabel(this._teamDoc),
+      pools,
+      multiplePools: pools.length > 1,
+      collapsed: game.settings.get(NS, KEY_COLLAPSED) === true,
       links: LINKS
     });
 
     this.root.innerHTML = html;
     this.activateListeners();
+    // Size may have changed (collapse, pool selector): keep a free HUD on screen.
+    if (game.settings.get(NS, KEY_POSITION) === "free") this.applyPosition();
   },
 
   activateListeners() {
     const q = (sel) => this.root?.querySelector(sel);
 
     // Buttons
-    q("[data-action='minus']")?.addEventListener("click", (ev) => {
+    q("[data-action='minus']")?.addEventListener("click", async (ev) => {
       const step = ev.shiftKey ? -5 : -1;
-      this._change(step);
+      const reason = await this._promptReason(step);
+      if (reason === null) return;
+      this._change(step, { reason });
     });
     q("[data-action='plus']")?.addEventListener("click", (ev) => {
       const step = ev.shiftKey ? 5 : 1;
       this._change(step);
     });
-    q("[data-action='reset']")?.addEventListener("click", () => this._set(0));
+    q("[data-action='reset']")?.addEventListener("click", () => this._set(0, { reason: "Reset" }));
+    q("[data-action='history']")?.addEventListener("click", () => this.openHistory());
+    q("[data-action='collapse']")?.addEventListener("click", () => this.toggleCollapsed());
+    q("[data-action='expand']")?.addEventListener("click", () => this.toggleCollapsed());
+    q("[data-drag]")?.addEventListener("pointerdown", (ev) => this._startDrag(ev));
+    q("[data-action='spend']")?.addEventListener("click", () => this.openSpendDialog());
+    q("[data-action='battle']")?.addEventListener("click", () => this.openBattleDialog());
+    q("[data-action='newPool']")?.addEventListener("click", () => this.createPool());
+    q("[data-action='poolOwners']")?.addEventListener("click", () => this.openPoolOwnership());
+    q("select[name='pool']")?.addEventListener("change", (ev) => this.setActivePool(ev.currentTarget.value));
 
     // Manual input
     const input = q("input[name='team']");
@@ -186,71 +449,575 @@ const MasksTeamHUD = {
     });
   },
 
-  // --------- Mutations ----------
-  async _change(delta) {
-    const current = this.team;
-    return this._set(current + delta);
+  /**
+   * Ask why Team is being spent (setting-gated). Resolves "" when not asked,
+   * the typed reason when confirmed, or null when the user cancels.
+   */
+  async _promptReason(delta) {
+    if (delta >= 0 || !game.settings.get(NS, KEY_ASK_REASON)) return "";
+    if (!this._canEdit) return ""; // let _set() surface the permission warning
+    if (this.team <= 0) return "";  // nothing to spend; _set() is a no-op
+
+    const n = Math.abs(delta);
+    return new Promise((resolve) => {
+      const content = `
+        <form style="margin-bottom:8px;">
+          <div class="form-group">
+            <label>Why?</label>
+            <input type="text" name="reason" placeholder="e.g. +1 to Bob's unleash" autofocus />
+          </div>
+        </form>`;
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title: `Spend ${n} Team`,
+        content,
+        buttons: {
+          ok: {
+            label: "Spend",
+            callback: html => resolve(String(html[0].querySelector("input[name='reason']")?.value ?? "").trim())
+          },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
   },
 
-  async _set(n) {
-    n = this._normalize(n);
+  /* ------------------------------ Spend Team ------------------------------ */
 
-    // Ensure we know the storage doc
-    this._teamDoc ??= await this._getTeamDoc();
-    if (!this._teamDoc) {
-      ui.notifications?.warn?.("Team Pool storage not initialized yet. A GM must open the world once.");
+  /** Marked conditions on an actor as [{ key, label }] (label without the "(-2 …)" suffix). */
+  _markedConditions(actor) {
+    const opts = foundry.utils.getProperty(actor, PATH_CONDITIONS) ?? {};
+    return Object.entries(opts)
+      .filter(([, o]) => o?.value === true)
+      .map(([key, o]) => ({ key, label: String(o?.label ?? key).split("(")[0].trim() }));
+  },
+
+  /** Small select-one dialog; resolves the chosen value or null. */
+  _choose(title, label, options, okLabel = "Choose") {
+    const opts = options.map(o => `<option value="${o.value}">${foundry.utils.escapeHTML(o.label)}</option>`).join("");
+    return new Promise((resolve) => {
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title,
+        content: `
+          <form style="margin-bottom:8px;">
+            <div class="form-group">
+              <label>${label}</label>
+              <select name="choice">${opts}</select>
+            </div>
+          </form>`,
+        buttons: {
+          ok: { label: okLabel, callback: html => resolve(html[0].querySelector("select[name='choice']")?.value ?? null) },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+  },
+
+  /**
+   * Spend dialog: pick a recipient + purpose, then any follow-up
+   * (which condition to clear / who gains Influence for a selfish spend).
+   */
+  async openSpendDialog() {
+    if (!this._canEdit) return this._warnCannotEdit();
+    if (this.team <= 0) {
+      ui.notifications?.warn?.("The Team pool is empty.");
       return;
     }
 
-    // UI gate + permission check
-    if (!this._canEdit) {
-      if (!game.settings.get(NS, KEY_ALLOW_EDIT)) {
-        ui.notifications?.warn?.("Players cannot edit the Team pool right now (disabled in settings).");
+    const mine = game.user?.character?.id ?? null;
+    const characters = (game.actors?.contents ?? [])
+      .filter(a => a?.type === "character")
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(a => ({ id: a.id, name: a.name, selected: a.id === mine }));
+    if (!characters.length) {
+      ui.notifications?.warn?.("There are no characters to spend Team on.");
+      return;
+    }
+
+    const content = await renderTemplate(`modules/${NS}/templates/team-spend.hbs`, {
+      characters,
+      purposes: Object.entries(SPEND_PURPOSES).map(([key, label]) => ({ key, label })),
+      team: this.team
+    });
+
+    const picked = await new Promise((resolve) => {
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title: "Spend Team",
+        content,
+        buttons: {
+          ok: {
+            label: "Spend 1 Team",
+            callback: html => {
+              const form = html[0].querySelector("form");
+              resolve({
+                recipientId: form?.recipient?.value ?? null,
+                purpose: form?.querySelector("input[name='purpose']:checked")?.value ?? "bonus",
+                reason: String(form?.reason?.value ?? "").trim()
+              });
+            }
+          },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+    if (!picked) return;
+
+    const recipient = game.actors?.get(picked.recipientId);
+    if (!recipient) return;
+
+    const opts = { recipient, purpose: picked.purpose, reason: picked.reason };
+
+    if (picked.purpose === "clear") {
+      const marked = this._markedConditions(recipient);
+      if (!marked.length) {
+        ui.notifications?.warn?.(`${recipient.name} has no marked conditions to clear.`);
+        return;
+      }
+      opts.conditionKey = marked.length === 1 ? marked[0].key
+        : await this._choose("Clear a Condition", "Condition", marked.map(c => ({ value: c.key, label: c.label })), "Clear");
+      if (!opts.conditionKey) return;
+    }
+
+    if (picked.purpose === "selfish") {
+      const teammates = characters.filter(c => c.id !== recipient.id);
+      if (teammates.length) {
+        const id = await this._choose(
+          "Spending Team Selfishly",
+          `Who gains Influence over ${foundry.utils.escapeHTML(recipient.name)}?`,
+          teammates.map(c => ({ value: c.id, label: c.name })),
+          "Give Influence"
+        );
+        if (!id) return;
+        opts.influenceTo = game.actors?.get(id) ?? null;
+      }
+    }
+
+    return this.spend(opts);
+  },
+
+  /**
+   * Spend 1 Team and apply its effect to the recipient.
+   * The pool write happens first; the effect is only applied if it succeeded.
+   * @param {object} opts
+   * @param {Actor}  opts.recipient
+   * @param {"bonus"|"clear"|"selfish"} opts.purpose
+   * @param {string} [opts.conditionKey]  conditions.options key to uncheck (purpose "clear")
+   * @param {Actor}  [opts.influenceTo]   teammate who gains Influence (purpose "selfish")
+   * @param {string} [opts.reason]        extra note for the ledger
+   */
+  async spend({ recipient, purpose, conditionKey = null, influenceTo = null, reason = "" }) {
+    if (!recipient) return;
+    if (this.team <= 0) {
+      ui.notifications?.warn?.("The Team pool is empty.");
+      return;
+    }
+
+    let what;
+    if (purpose === "clear") {
+      const cond = this._markedConditions(recipient).find(c => c.key === conditionKey);
+      if (!cond) return;
+      what = `${recipient.name} clears ${cond.label}`;
+    } else if (purpose === "selfish") {
+      what = `${recipient.name} acts selfishly (+1)`;
+    } else {
+      what = `+1 to ${recipient.name}’s roll`;
+    }
+    if (reason) what += ` — ${reason}`;
+
+    // The writer applies the effect in the same commit as the spend entry
+    const entry = await this._change(-1, { reason: what, recipient, purpose, conditionKey });
+    if (!entry) return;
+
+    if (purpose === "selfish" && influenceTo) {
+      // "lt" = give them Influence over you (influenceTo ⇒ recipient)
+      await QuickInfluence._applyPair(recipient, null, influenceTo, null, "lt", { move: "Selfish Team spend" });
+    }
+    return entry;
+  },
+
+  /**
+   * Apply a spend entry's +1 Forward / cleared condition. Called from _commit
+   * right after the entry is written, so a spend and its effect can't diverge.
+   * The entry is marked applied only once the actor update succeeds.
+   */
+  async _applySpendEffect(doc, entry, actor) {
+    if (!(game.user?.isGM || actor.isOwner === true)) {
+      ui.notifications?.warn?.(`Team was spent, but a GM must be online to update ${actor.name}. Revert the entry in the Team history to refund it.`);
+      return;
+    }
+    try {
+      if (entry.purpose === "clear") {
+        if (entry.conditionKey == null) return;
+        await actor.update({ [`${PATH_CONDITIONS}.${entry.conditionKey}.value`]: false });
       } else {
-        ui.notifications?.warn?.("You don’t have permission to edit Team.");
+        const { update } = grantUpdate(actor, "forward", 1, { reason: "Team spend", source: "Team", expires: "nextRoll" });
+        await actor.update(update);
       }
+      await doc.update({ [`flags.${NS}.${FLAG_SPEND_APPLIED}.${entry.id}`]: Date.now() });
+    } catch (err) {
+      console.error(`[${NS}] Failed to apply Team spend to ${actor.name}`, err);
+      ui.notifications?.error?.(`Team was spent, but ${actor.name} couldn’t be updated (see console). Revert the entry in the Team history to refund it.`);
+    }
+  },
+
+  /* ------------------------ Enter Battle as a Team ------------------------ */
+
+  /** Distinct Character actors among a combat's combatants. */
+  _battleHeroes(combat) {
+    const byId = new Map();
+    for (const c of combat?.combatants ?? []) {
+      const a = c?.actor;
+      if (a?.type === "character" && !byId.has(a.id)) byId.set(a.id, a);
+    }
+    return [...byId.values()];
+  },
+
+  /**
+   * GM dialog: confirm which heroes entered battle together, mark the roll
+   * result, then add (or set) Team and log the outcome to chat.
+   */
+  async openBattleDialog(combat = game.combats?.active ?? game.combats?.viewed) {
+    if (!game.user?.isGM) return;
+    if (!this._canEdit) return this._warnCannotEdit();
+
+    const heroes = this._battleHeroes(combat);
+    if (!heroes.length) {
+      ui.notifications?.warn?.("Add the heroes to an active Combat first.");
       return;
     }
 
+    const content = await renderTemplate(`modules/${NS}/templates/team-battle.hbs`, {
+      heroes: heroes.map(a => ({ id: a.id, name: a.name, img: a.img })),
+      results: Object.entries(BATTLE_RESULTS).map(([key, r]) => ({ key, label: r.label })),
+      amount: BATTLE_RESULTS.strong.team(heroes.length),
+      team: this.team
+    });
+
+    const picked = await new Promise((resolve) => {
+      // eslint-disable-next-line no-new
+      new Dialog({
+        title: "Enter Battle as a Team",
+        content,
+        buttons: {
+          ok: {
+            label: "Apply",
+            callback: html => {
+              const form = html[0].querySelector("form");
+              resolve({
+                heroIds: [...form.querySelectorAll("input[name='hero']:checked")].map(i => i.value),
+                result: form.querySelector("input[name='result']:checked")?.value ?? "strong",
+                mode: form.mode?.value === "set" ? "set" : "add",
+                amount: Number(form.amount?.value)
+              });
+            }
+          },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "ok",
+        render: html => {
+          // Keep the suggested amount in step with the result + head count.
+          const form = html[0].querySelector("form");
+          const suggest = () => {
+            const n = form.querySelectorAll("input[name='hero']:checked").length;
+            const key = form.querySelector("input[name='result']:checked")?.value ?? "strong";
+            form.amount.value = String(BATTLE_RESULTS[key]?.team(n) ?? 0);
+          };
+          form.addEventListener("change", (ev) => {
+            if (ev.target?.name === "hero" || ev.target?.name === "result") suggest();
+          });
+        },
+        close: () => resolve(null)
+      }).render(true);
+    });
+    if (!picked) return;
+
+    const names = picked.heroIds.map(id => game.actors?.get(id)?.name).filter(Boolean);
+    const result = BATTLE_RESULTS[picked.result] ?? BATTLE_RESULTS.strong;
+    const amount = this._normalize(picked.amount);
     const old = this.team;
+    const target = picked.mode === "set" ? amount : old + amount;
+
+    const entry = await this._set(target, { reason: `Enter Battle as a Team (${result.label})`, silent: true });
+    if (!entry && this._normalize(target) !== old) return;
+
+    const who = names.map(n => foundry.utils.escapeHTML(n)).join(", ") || "—";
+    await ChatMessage.create({
+      content: `<h6>Enter Battle as a Team — <b>${result.label}</b></h6>`
+        + `<b>Heroes:</b> ${who}<br/>`
+        + `<b>${this._chatLabel()}</b>: ${old} → <b>${this._normalize(target)}</b>`,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER
+    });
+  },
+
+  /** Add an "Enter Battle as a Team" button to the combat tracker header (GM only). */
+  _decorateCombatTracker(app, html) {
+    if (!game.user?.isGM) return;
+    const root = html instanceof HTMLElement ? html : (html?.[0] ?? null);
+    if (!root || root.querySelector("[data-action='masksEnterBattle']")) return;
+    const combat = app?.viewed ?? game.combats?.active;
+    if (!combat) return;
+
+    const host = root.querySelector(".encounter-controls") ?? root.querySelector("header");
+    if (!host) return;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "inline-control icon fa-solid fa-people-group";
+    btn.dataset.action = "masksEnterBattle";
+    btn.dataset.tooltip = "Enter Battle as a Team";
+    btn.setAttribute("aria-label", "Enter Battle as a Team");
+    btn.addEventListener("click", (ev) => {
+      ev.preventDefault();
+      ev.stopPropagation();
+      this.openBattleDialog(combat);
+    });
+    host.appendChild(btn);
+  },
+
+  openHistory() {
+    this._historyApp ??= new TeamHistoryApp(this);
+    this._historyApp.render({ force: true });
+  },
+
+  // --------- Mutations ----------
+  async _change(delta, opts = {}) {
+    return this._write({ ...opts, delta });
+  },
+
+  /**
+   * Set the pool to n and append a ledger entry.
+   * @param {number} n
+   * @param {object} [opts]
+   * @param {string} [opts.reason]    Free-text "why" recorded in the ledger and chat
+   * @param {string} [opts.revertOf]  Ledger id this change compensates for
+   * @param {Actor}  [opts.recipient] Character the Team was spent on
+   * @param {string} [opts.purpose]   Spend purpose (SPEND_PURPOSES key), checked by the GM relay
+   * @param {string} [opts.conditionKey] Condition a "clear" spend unchecks
+   * @param {boolean} [opts.silent]   Skip the chat announce (caller posts its own card)
+   * @param {JournalEntry} [opts.doc] Pool to write (defaults to this user's active pool)
+   */
+  async _set(n, opts = {}) {
+    return this._write({ ...opts, n });
+  },
+
+  /**
+   * Shared path for _set/_change. While a GM is online the primary GM is the
+   * only writer of the value and ledger: it commits directly, everyone else
+   * relays and waits. With no GM online, owners write both themselves.
+   */
+  async _write({ n = null, delta = null, reason = "", revertOf = null, recipient = null, purpose = null, conditionKey = null, silent = false, doc = null } = {}) {
+    // Ensure we know the storage doc
+    this._teamDoc ??= await this._getActiveDoc();
+    doc ??= this._teamDoc;
+    if (!doc) {
+      ui.notifications?.warn?.("Team Pool storage not initialized yet. A GM must open the world once.");
+      return;
+    }
+
+    // UI gate + permission check
+    if (!this._canEditDoc(doc)) return this._warnCannotEdit();
+
+    const change = {
+      docId: doc.id,
+      n,
+      delta,
+      reason: String(reason ?? "").trim(),
+      revertOf,
+      recipientId: recipient?.id ?? null,
+      purpose,
+      conditionKey,
+      silent: !!silent,
+      sceneId: game.scenes?.viewed?.id ?? null
+    };
+    const gm = primaryGMId();
+    if (!gm || gm === game.user?.id) return this._enqueue(() => this._commit(doc, change, game.user));
+    return this._relayWrite(change);
+  },
+
+  /** Run fn after every earlier write has finished. */
+  _enqueue(fn) {
+    const run = this._writeChain.then(fn, fn);
+    this._writeChain = run.catch(() => {});
+    return run;
+  },
+
+  /** Ask the primary GM to commit a change; resolves the new ledger entry (or undefined). */
+  _relayWrite(change) {
+    const requestId = foundry.utils.randomID(16);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._pendingWrites.delete(requestId);
+        ui.notifications?.warn?.("The Team change is unconfirmed: the GM hasn’t answered yet. Check the Team history before trying again.");
+        resolve();
+      }, RELAY_TIMEOUT);
+      this._pendingWrites.set(requestId, (entry) => {
+        clearTimeout(timer);
+        resolve(entry ?? undefined);
+      });
+      game.socket?.emit(SOCKET_NS, { action: "teamWrite", requestId, userId: game.user?.id, change });
+    });
+  },
+
+  /** Primary GM (or an owner, with no GM online): write the value and append the entry in one update. */
+  async _commit(doc, change, user) {
+    // Checked here, on the writer's current ledger, so racing reverts can't both land
+    if (change.revertOf && this._historyOf(doc).some(e => e.revertOf === change.revertOf)) {
+      if (user?.id === game.user?.id) ui.notifications?.warn?.("That change has already been reverted.");
+      return;
+    }
+    const old = this._valueOf(doc);
+    const n = this._normalize(change.delta != null ? old + Number(change.delta) : change.n);
     if (n === old) return;
 
-    // Update the flag on the JournalEntry — any Owner can do this.
+    const scene = game.scenes?.get(change.sceneId) ?? null;
+    const recipient = change.recipientId ? game.actors?.get(change.recipientId) : null;
+    const entry = {
+      id: foundry.utils.randomID(16),
+      delta: n - old,
+      before: old,
+      after: n,
+      reason: change.reason,
+      userId: user?.id ?? null,
+      userName: user?.name ?? "Player",
+      timestamp: Date.now(),
+      sceneId: scene?.id ?? null,
+      sceneName: scene?.name ?? ""
+    };
+    if (change.revertOf) entry.revertOf = change.revertOf;
+    if (recipient) {
+      entry.recipientId = recipient.id;
+      entry.recipientName = recipient.name;
+    }
+    if (recipient && SPEND_PURPOSES[change.purpose]) {
+      entry.purpose = change.purpose;
+      if (change.conditionKey != null) entry.conditionKey = String(change.conditionKey);
+    }
+    let history = [...this._liveHistory(doc), entry];
+    if (history.length > HISTORY_LIMIT) history = await this._archive(doc, history);
+
+    // Update value + ledger in one write on the JournalEntry.
     try {
-      await this._teamDoc.setFlag(NS, "team", n);
+      await doc.update({
+        [`flags.${NS}.team`]: n,
+        [`flags.${NS}.${FLAG_HISTORY}`]: history
+      });
 
-      // Optional announce (only by the user who applied the change, to avoid duplicates)
-      if (game.settings.get(NS, KEY_ANNOUNCE)) {
+      // Optional announce (only by the writer, to avoid duplicates)
+      if (!change.silent && game.settings.get(NS, KEY_ANNOUNCE)) {
         const d = n - old;
         const sign = d > 0 ? "+" : "";
-        const from = game.user?.name ?? "Player";
+        const from = foundry.utils.escapeHTML(entry.userName);
+        const why = entry.reason ? ` <em>“${foundry.utils.escapeHTML(entry.reason)}”</em>` : "";
 
         await ChatMessage.create({
-          content: `<b>Team Pool</b>: ${old} → <b>${n}</b> (${sign}${d}) <span class="color-muted">— set by ${from}</span>`,
+          content: `<b>${this._chatLabel(doc)}</b>: ${old} → <b>${n}</b> (${sign}${d})${why} <span class="color-muted">— set by ${from}</span>`,
           type: CONST.CHAT_MESSAGE_TYPES.OTHER
         });
       }
+      if (entry.purpose && recipient && entry.delta < 0) await this._applySpendEffect(doc, entry, recipient);
+      return entry;
     } catch (err) {
       console.error(`[${NS}] Failed to set Team`, err);
       ui.notifications?.error?.("Couldn’t update the Team pool.");
     }
   },
 
+  /**
+   * Move all but the newest HISTORY_KEEP entries to a new archive page on the
+   * pool. Returns the live list to keep (unchanged if the page can't be made).
+   */
+  async _archive(doc, history) {
+    const cut = history.length - HISTORY_KEEP;
+    const index = (this._archivePages(doc).at(-1)?.getFlag(NS, FLAG_ARCHIVE_INDEX) ?? 0) + 1;
+    try {
+      await doc.createEmbeddedDocuments("JournalEntryPage", [{
+        name: `Team ledger archive ${index}`,
+        type: "text",
+        text: { content: "" },
+        flags: { [NS]: { [FLAG_HISTORY]: history.slice(0, cut), [FLAG_ARCHIVE_INDEX]: index } }
+      }]);
+      return history.slice(cut);
+    } catch (err) {
+      console.error(`[${NS}] Failed to archive the Team ledger; keeping every entry live`, err);
+      return history;
+    }
+  },
+
+  /** Primary GM: commit a write relayed by another user, then answer them. */
+  async _gmWriteFromSocket({ requestId, userId, change } = {}) {
+    const user = game.users?.get(userId);
+    const doc = game.journal?.get(change?.docId);
+    let entry = null;
+    if (user && isTeamDoc(doc) && this._canEditDoc(doc, user)) {
+      entry = (await this._enqueue(() => this._commit(doc, change, user))) ?? null;
+    }
+    game.socket?.emit(SOCKET_NS, { action: "teamWriteDone", requestId, entry });
+  },
+
+  /** GM: undo a ledger entry by applying its inverse delta as a new entry. */
+  async revert(entryId) {
+    if (!game.user?.isGM) return;
+    const history = this.history;
+    const target = history.find(e => e.id === entryId);
+    if (!target) return;
+    if (history.some(e => e.revertOf === entryId)) {
+      ui.notifications?.warn?.("That change has already been reverted.");
+      return;
+    }
+    const why = target.reason ? `Revert: ${target.reason}` : `Revert ${target.userName}’s change`;
+    return this._change(-Number(target.delta || 0), { reason: why, revertOf: entryId });
+  },
+
   // --------- Live sync ----------
   _registerHooks() {
     // Re-render when the storage doc changes
     Hooks.on("updateJournalEntry", (doc, changes, opts, userId) => {
+      // Public event on every client for every pool change (see TeamAPI below).
+      if (isTeamDoc(doc) && foundry.utils.getProperty(changes, `flags.${NS}.team`) !== undefined) {
+        const ledgerChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_HISTORY}`) !== undefined;
+        Hooks.callAll("masksTeamChanged", {
+          pool: doc,
+          poolId: doc.id,
+          label: this._poolLabel(doc),
+          value: this._valueOf(doc),
+          entry: ledgerChanged ? (this._historyOf(doc).at(-1) ?? null) : null,
+          userId
+        });
+      }
+
+      // Another pool: only its label/visibility matter to the selector.
+      if (isTeamDoc(doc) && doc.id !== this._teamDoc?.id) {
+        const labelChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_POOL_NAME}`) !== undefined;
+        if (labelChanged || changes.ownership !== undefined) this._queueRender();
+        return;
+      }
       if (!this._teamDoc || doc.id !== this._teamDoc.id) return;
       // Only re-render if our flag changed or ownership changed (affects canEdit)
       const flagChanged = foundry.utils.getProperty(changes, `flags.${NS}.team`) !== undefined;
       const ownerChanged = changes.ownership !== undefined;
       if (flagChanged || ownerChanged) this._queueRender();
+      const historyChanged = foundry.utils.getProperty(changes, `flags.${NS}.${FLAG_HISTORY}`) !== undefined;
+      if (historyChanged && this._historyApp?.rendered) this._historyApp.render();
+    });
+
+    Hooks.on("createJournalEntry", (doc) => {
+      if (isTeamDoc(doc)) this._queueRender();
     });
 
     Hooks.on("deleteJournalEntry", (doc) => {
+      if (this._defaultDoc && doc.id === this._defaultDoc.id) this._defaultDoc = null;
       if (this._teamDoc && doc.id === this._teamDoc.id) {
         this._teamDoc = null;
         this._queueRender();
+      } else if (isTeamDoc(doc)) {
+        this._queueRender();
       }
     });
   },
@@ -259,15 +1026,99 @@ const MasksTeamHUD = {
     if (this._renderQueued) return;
     this._renderQueued = true;
     setTimeout(async () => {
-      this._teamDoc = await this._getTeamDoc(); // refresh reference
+      this._teamDoc = await this._getActiveDoc(); // refresh reference
       await this.render();
       this._renderQueued = false;
     }, 10);
   }
 };
 
+/* ------------------------------- Public API ------------------------------- */
+
+/** Resolve a pool option (JournalEntry, id, or pool name) to a pool doc; null = active pool. */
+function resolvePool(pool) {
+  if (!pool) return MasksTeamHUD._teamDoc;
+  if (pool instanceof JournalEntry) return isTeamDoc(pool) ? pool : null;
+  const byId = game.journal?.get(pool);
+  if (isTeamDoc(byId)) return byId;
+  return MasksTeamHUD.pools.find(d => MasksTeamHUD._poolLabel(d) === pool) ?? null;
+}
+
+/** Resolve an Actor, id, or UUID to an Actor. */
+function resolveActor(a) {
+  if (!a) return null;
+  if (a instanceof Actor) return a;
+  return game.actors?.get(a) ?? (typeof a === "string" ? fromUuidSync(a) : null) ?? null;
+}
+
+/**
+ * game.modules.get("masks-newgeneration-extensions").api.team
+ *
+ * Every write goes through the HUD's _write(), so the same permission gate
+ * (playersCanEdit + journal ownership), ledger entry and chat announce apply.
+ * While a GM is online the primary GM commits every write and other users'
+ * writes are relayed; with no GM online, owners write directly. Writers resolve to the new ledger entry, or undefined if
+ * nothing changed.
+ * Listen for `Hooks.on("masksTeamChanged", ({ pool, value, entry, userId }) => …)`.
+ */
+const TeamAPI = {
+  /** Current value of a pool (default: this user's active pool). */
+  get({ pool } = {}) {
+    return MasksTeamHUD._valueOf(resolvePool(pool));
+  },
+
+  /** Whether this user may change the pool right now. */
+  canEdit({ pool } = {}) {
+    return MasksTeamHUD._canEditDoc(resolvePool(pool));
+  },
+
+  /** Ledger entries, oldest first. */
+  history({ pool } = {}) {
+    return foundry.utils.deepClone(MasksTeamHUD._historyOf(resolvePool(pool)));
+  },
+
+  /** Visible pools as [{ id, label, value }]. */
+  pools() {
+    return MasksTeamHUD.pools.map(d => ({ id: d.id, label: MasksTeamHUD._poolLabel(d), value: MasksTeamHUD._valueOf(d) }));
+  },
+
+  async add(n = 1, { reason = "", pool } = {}) {
+    const doc = resolvePool(pool);
+    if (!doc) return;
+    return MasksTeamHUD._change(Math.abs(Number(n) || 0), { reason, doc });
+  },
+
+  /** Spend n Team; `recipient` (Actor, id or UUID) is recorded in the ledger. */
+  async spend(n = 1, { reason = "", recipient = null, pool } = {}) {
+    const doc = resolvePool(pool);
+    if (!doc) return;
+    const amount = Math.abs(Number(n) || 0);
+    if (amount > MasksTeamHUD._valueOf(doc)) {
+      ui.notifications?.warn?.("Not enough Team in the pool.");
+      return;
+    }
+    return MasksTeamHUD._change(-amount, { reason, recipient: resolveActor(recipient), doc });
+  },
+
+  async set(n, { reason = "", pool } = {}) {
+    const doc = resolvePool(pool);
+    if (!doc) return;
+    return MasksTeamHUD._set(n, { reason, doc });
+  },
+
+  async reset({ reason = "Reset", pool } = {}) {
+    return this.set(0, { reason, pool });
+  }
+};
+
 // ----- Hooks & Settings -----
 Hooks.once("init", () => {
+  const mod = game.modules.get(NS);
+  if (mod) {
+    mod.api ??= {};
+    mod.api.team = TeamAPI;
+  }
+
   // (Legacy) world-shared Team pool value — retained only to migrate out of it.
   // We leave it registered so existing worlds don’t error; it’s not used anymore.
   game.settings.register(NS, "teamPool", {
@@ -298,6 +1149,26 @@ Hooks.once("init", () => {
     default: true
   });
 
+  // World setting: prompt for a ledger reason when spending from the HUD
+  game.settings.register(NS, KEY_ASK_REASON, {
+    name: "Ask for a reason when spending Team",
+    hint: "Clicking − on the Team HUD asks why before spending. The reason is kept in the Team history ledger.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // World setting: offer Enter Battle as a Team when the GM creates a combat
+  game.settings.register(NS, KEY_BATTLE_PROMPT, {
+    name: "Prompt to Enter Battle as a Team",
+    hint: "When the GM creates a Combat, open the Enter Battle as a Team dialog once heroes are added to it.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
   // Client setting: per-user HUD position
   game.settings.register(NS, KEY_POSITION, {
     name: "Team HUD Position (per user)",
@@ -308,11 +1179,29 @@ Hooks.once("init", () => {
     choices: {
       "bottom-left": "Bottom Left",
       "top-left": "Top Left",
-      "top-right": "Top Right"
+      "top-right": "Top Right",
+      "free": "Free (drag the grip to place)"
     },
     onChange: () => MasksTeamHUD.applyPosition?.()
   });
 
+  // Client settings: free-position coordinates + collapsed badge (set from the HUD itself)
+  game.settings.register(NS, KEY_COORDS, {
+    name: "Team HUD Coordinates",
+    scope: "client",
+    config: false,
+    type: Object,
+    default: { left: 120, top: 80 }
+  });
+  game.settings.register(NS, KEY_COLLAPSED, {
+    name: "Team HUD Collapsed",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => MasksTeamHUD.render?.()
+  });
+
   // World setting: remember our JournalEntry id
   game.settings.register(NS, KEY_TEAM_DOCID, {
     name: "Team Pool Journal Id",
@@ -325,4 +1214,46 @@ Hooks.once("init", () => {
 
 Hooks.once("ready", async () => {
   await MasksTeamHUD.mount();
+
+  // Snap a free-floating HUD back on screen when the window shrinks.
+  window.addEventListener("resize", foundry.utils.debounce(() => MasksTeamHUD.applyPosition(), 100));
+
+  // Enter Battle as a Team: tracker button (re-rendered by encounter-tracker's
+  // createCombat/deleteCombat hooks) and an optional prompt when the GM creates a combat.
+  Hooks.on("renderCombatTracker", (app, html) => {
+    try { MasksTeamHUD._decorateCombatTracker(app, html); }
+    catch (err) { console.error(`[${NS}] Enter Battle button failed`, err); }
+  });
+  // Prompt when this GM creates a Combat. Encounters usually start empty and
+  // get their combatants right after, so wait for the first heroes to arrive.
+  const battlePending = new Set();
+  const promptBattle = foundry.utils.debounce((combat) => {
+    if (!battlePending.has(combat?.id) || !MasksTeamHUD._battleHeroes(combat).length) return;
+    battlePending.delete(combat.id);
+    MasksTeamHUD.openBattleDialog(combat);
+  }, 100);
+  Hooks.on("createCombat", (combat, options, userId) => {
+    if (userId !== game.user?.id || !game.user?.isGM || !game.settings.get(NS, KEY_BATTLE_PROMPT)) return;
+    battlePending.add(combat.id);
+    promptBattle(combat);
+  });
+  Hooks.on("createCombatant", (doc) => {
+    if (battlePending.has(doc.parent?.id)) promptBattle(doc.parent);
+  });
+  Hooks.on("deleteCombat", (combat) => battlePending.delete(combat.id));
+
+  game.socket?.on(SOCKET_NS, async (data) => {
+    // Requester side: the GM confirmed (or refused) a relayed write
+    if (data?.action === "teamWriteDone") {
+      const done = MasksTeamHUD._pendingWrites.get(data.requestId);
+      MasksTeamHUD._pendingWrites.delete(data.requestId);
+      done?.(data.entry);
+      return;
+    }
+    // Everything else is applied by the primary (lowest-id active) GM only
+    if (game.user?.id !== primaryGMId()) return;
+    if (data?.action === "teamWrite") {
+      await MasksTeamHUD._gmWriteFromSocket(data);
+    }
+  });
 });
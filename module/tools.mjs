@@ -3,7 +3,7 @@
 /**
  * tools.mjs — Quick Influence (Scene Controls v2)
  * -----------------------------------------------------------------------------
- * Four one-click actions that do not require multi-select:
+ * Four one-click actions that do not require multi-select (but batch over it):
  *   • Give them influence over you  (target ⇒ you)
  *   • Gain influence over them      (you ⇒ target)
  *   • Give & receive                (mutual)
@@ -15,16 +15,32 @@
  *
  * Target:
  *   - If you have exactly one targeted token, we use that.
+ *   - If you have several targeted tokens, the action always applies to each of them
+ *     (team-wide Comfort, a villain taking Influence over everyone) with one
+ *     consolidated chat card; relayed sides still go to the GM per pair.
  *   - Else if you hold Shift while clicking a tool, we enter a temporary
  *     "click a token" mode (works even if you can't control the token).
  *   - Otherwise we prompt with a small picker dialog listing visible tokens.
  *
+ * Storage:
+ *   - Characters keep Influence on their sheet. An NPC source (e.g. the GM
+ *     controlling a villain) records it in its own list in module flags, so
+ *     the villain's Influence exists even if no hero's sheet lists it.
+ *
  * Permissions:
  *   - We always write the side(s) you can edit.
  *   - Optionally (setting) relay to GM over socket to apply the counterpart.
+ *     The relay carries the directive, not a finished list: the GM applies
+ *     it to its own current copy, one relay at a time, so a batch's relays
+ *     can't overwrite each other.
  *   - If GM relay is disabled or unavailable, we rely on the symmetry sync
  *     in helpers/influence.mjs to finish the other side shortly after.
  *
+ * Moves:
+ *   - Optionally (client setting) ask which move caused the change; it is
+ *     passed to the write as `masksMove` for the Influence log
+ *     (see influence-history.mjs).
+ *
  * Performance:
  *   - No global scans. Only reads/writes the two involved actors’ flags.
  */
@@ -32,36 +48,54 @@
 import {
   normalize,
   candidateTokenNames,
+  actorUuid,
+  readInfluences,
+  influencePath,
   InfluenceIndex
 } from "./helpers/influence.mjs";
 
 const NS            = "masks-newgeneration-extensions";           // module namespace (settings)
-const FLAG_SCOPE    = "masks-newgeneration-unofficial";           // where Influence arrays live
-const FLAG_KEY      = "influences";
 const KEY_ANNOUNCE  = "announceInfluenceChanges";                  // world setting for chat announces
 const KEY_PREFER_TGT= "quickInfluencePreferTarget";                // client: use current target first
 const KEY_USE_GM    = "quickInfluenceUseGMRelay";                  // world: GM-hop for counterpart
+const KEY_ASK_MOVE  = "quickInfluenceAskMove";                     // client: prompt for the move used
 const SOCKET_NS     = "module.masks-newgeneration-extensions";     // GM relay channel
 
-/* -------------------------------- Utilities ------------------------------- */
+/** Suggestions for the move prompt; any text is accepted. */
+const INFLUENCE_MOVES = [
+  "Comfort or Support",
+  "Provoke Someone",
+  "Pierce the Mask",
+  "Reject Influence",
+  "Selfish Team spend",
+  "Playbook move",
+  "Backstory"
+];
 
-function readInfluences(actor) {
-  return foundry.utils.deepClone(actor.getFlag(FLAG_SCOPE, FLAG_KEY) || []);
-}
+/* -------------------------------- Utilities ------------------------------- */
 
 function pickStorageName(actor, token) {
   const cands = candidateTokenNames(actor, token);
   return cands[0] || actor?.name || token?.document?.name || "Unknown";
 }
 
-function ensureEntry(arr, nameToMatch) {
+/**
+ * Find (or create) the entry for a counterparty. Linked entries match by uuid;
+ * a legacy name-only entry is adopted and upgraded with the uuid.
+ */
+function ensureEntry(arr, nameToMatch, uuid = "") {
   const want = normalize(nameToMatch);
-  const idx = arr.findIndex(e => normalize(e?.name) === want);
-  if (idx >= 0) return { idx, obj: arr[idx] };
+  let idx = uuid ? arr.findIndex(e => e?.uuid === uuid) : -1;
+  if (idx < 0) idx = arr.findIndex(e => !e?.uuid && normalize(e?.name) === want);
+  if (idx >= 0) {
+    if (uuid && !arr[idx].uuid) arr[idx].uuid = uuid;
+    return { idx, obj: arr[idx] };
+  }
 
   const obj = {
     id: (foundry.utils.randomID?.(16) ?? Math.random().toString(36).slice(2)),
     name: nameToMatch,
+    uuid,
     hasInfluenceOver: false,   // "they → me"
     haveInfluenceOver: false,  // "me → them"
     locked: false
@@ -79,11 +113,19 @@ function stateSymbol(e) {
   return "x";
 }
 
+function baseActor(actor) {
+  return actor?.isToken ? (game.actors?.get(actor.token?.actorId) ?? actor) : actor;
+}
+
 function canEditActor(actor) {
   return game.user?.isGM || actor?.isOwner === true;
 }
 
-async function writeInfluencesIfChanged(actor, beforeArr, afterArr) {
+/**
+ * @param {object} [options] update options, e.g. { masksMove, masksMirror }
+ *                           (recorded by the Influence log)
+ */
+async function writeInfluencesIfChanged(actor, beforeArr, afterArr, options = {}) {
   // Cheap structural compare to avoid redundant writes
   const sameLen = beforeArr.length === afterArr.length;
   let equal = sameLen;
@@ -92,6 +134,7 @@ async function writeInfluencesIfChanged(actor, beforeArr, afterArr) {
       const a = beforeArr[i], b = afterArr[i];
       if (!a || !b) { equal = false; break; }
       if (normalize(a.name) !== normalize(b.name) ||
+          (a.uuid ?? "") !== (b.uuid ?? "") ||
           !!a.hasInfluenceOver !== !!b.hasInfluenceOver ||
           !!a.haveInfluenceOver !== !!b.haveInfluenceOver ||
           !!a.locked !== !!b.locked) { equal = false; break; }
@@ -99,13 +142,21 @@ async function writeInfluencesIfChanged(actor, beforeArr, afterArr) {
   }
   if (equal) return false;
 
-  await actor.setFlag(FLAG_SCOPE, FLAG_KEY, afterArr);
+  await actor.update({ [influencePath(actor)]: afterArr }, options);
   return true;
 }
 
-function mutateSide(inflArr, counterpartyName, which) {
+/** The directive as seen from the other side of the pair. */
+function mirrorDirective(directive) {
+  if (directive === "gt") return "lt";
+  if (directive === "lt") return "gt";
+  if (directive === "eq") return "eq";
+  return "reset";
+}
+
+function mutateSide(inflArr, counterpartyName, which, counterpartyUuid = "") {
   // which: "gt"|"lt"|"eq"|"reset"
-  const { idx, obj } = ensureEntry(inflArr, counterpartyName);
+  const { idx, obj } = ensureEntry(inflArr, counterpartyName, counterpartyUuid);
   const prev = { has: !!obj.hasInfluenceOver, have: !!obj.haveInfluenceOver };
 
   if (obj.locked === true && which !== "reset") {
@@ -134,16 +185,16 @@ function mutateSide(inflArr, counterpartyName, which) {
   return { changed: prev.has !== now.has || prev.have !== now.have || pruned, prev, now, pruned };
 }
 
+function badge(s) {
+  const css = "display:inline-block;padding:0 .35rem;border-radius:.25rem;font-weight:700;";
+  if (s === "⬆") return `<span style="${css}background:#4CAF50;color:#fff">${s}</span>`;
+  if (s === "⬇") return `<span style="${css}background:#9C27B0;color:#fff">${s}</span>`;
+  if (s === "⬌") return `<span style="${css}background:#2196F3;color:#fff">${s}</span>`;
+  return `<span style="${css}background:#F44336;color:#fff">${s}</span>`;
+}
+
 async function announceChange(srcName, tgtName, beforeSym, afterSym) {
   if (!game.settings.get(NS, KEY_ANNOUNCE)) return;
-  const who = game.user?.name ?? "Player";
-  const badge = (s) => {
-    const css = "display:inline-block;padding:0 .35rem;border-radius:.25rem;font-weight:700;";
-    if (s === "⬆") return `<span style="${css}background:#4CAF50;color:#fff">${s}</span>`;
-    if (s === "⬇") return `<span style="${css}background:#9C27B0;color:#fff">${s}</span>`;
-    if (s === "⬌") return `<span style="${css}background:#2196F3;color:#fff">${s}</span>`;
-    return `<span style="${css}background:#F44336;color:#fff">${s}</span>`;
-  };
   let title = "Influence Change";
   switch (afterSym) {
     case "⬆": title = `${srcName} gains Influence over ${tgtName}`; break;
@@ -162,11 +213,71 @@ async function announceChange(srcName, tgtName, beforeSym, afterSym) {
   });
 }
 
+/** One card for a batch: a line per target, with its previous state if it changed. */
+async function announceBatch(srcName, directive, rows) {
+  if (!game.settings.get(NS, KEY_ANNOUNCE) || !rows.length) return;
+  const title = {
+    gt: `${srcName} gains Influence over`,
+    lt: `${srcName} gives Influence to`,
+    eq: `${srcName} shares Influence with`,
+    reset: `${srcName} clears Influence with`
+  }[directive];
+  const items = rows.map(r => {
+    let li = `<li>${badge(r.afterSym)} ${r.tgtName}`;
+    if (r.beforeSym !== "x" && r.beforeSym !== r.afterSym) li += ` <em>(was ${badge(r.beforeSym)})</em>`;
+    return `${li}</li>`;
+  }).join("");
+  await ChatMessage.create({
+    content: `<h6>${title} ${rows.length} ${rows.length === 1 ? "character" : "characters"}</h6><ul>${items}</ul>`,
+    type: CONST.CHAT_MESSAGE_TYPES.OTHER
+  });
+}
+
 function requestGMApply(payload) {
   try { game.socket?.emit(SOCKET_NS, payload); }
   catch (_) { /* swallow; symmetry sync is a fallback */ }
 }
 
+/**
+ * Ask which move changed Influence (setting-gated). Resolves "" when not
+ * asked, the typed move when confirmed, or null when the user cancels.
+ */
+async function promptMove(directive) {
+  if (!game.settings.get(NS, KEY_ASK_MOVE)) return "";
+  const title = {
+    gt: "Gain Influence",
+    lt: "Give Influence",
+    eq: "Share Influence",
+    reset: "Clear Influence"
+  }[directive] ?? "Influence";
+  const options = INFLUENCE_MOVES.map(m => `<option value="${m}"></option>`).join("");
+
+  return new Promise((resolve) => {
+    const content = `
+      <form style="margin-bottom:8px;">
+        <div class="form-group">
+          <label>Which move?</label>
+          <input type="text" name="move" list="masks-influence-moves" placeholder="e.g. Provoke Someone" autofocus />
+          <datalist id="masks-influence-moves">${options}</datalist>
+        </div>
+      </form>`;
+    // eslint-disable-next-line no-new
+    new Dialog({
+      title,
+      content,
+      buttons: {
+        ok: {
+          label: "Apply",
+          callback: html => resolve(String(html[0].querySelector("input[name='move']")?.value ?? "").trim())
+        },
+        cancel: { label: "Cancel", callback: () => resolve(null) }
+      },
+      default: "ok",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
 /* ------------------------------- Targeting -------------------------------- */
 
 async function pickTargetViaDialog(excludeTokenId = null) {
@@ -229,7 +340,7 @@ async function pickTargetByClick(timeoutMs = 10000, hint = "Click a token to cho
 
 /* ------------------------------- Core Object ------------------------------ */
 
-const QuickInfluence = {
+export const QuickInfluence = {
   /**
    * Entry point for the four tools.
    * directive ∈ {"lt","gt","eq","reset"}
@@ -243,7 +354,62 @@ const QuickInfluence = {
     const src = await this._resolveSource();
     if (!src) return;
 
-    // 2) Resolve target
+    // 2) Several targets: batch mode
+    const batch = this._batchTargets(src);
+    if (batch.length > 1) {
+      const move = await promptMove(directive);
+      if (move === null) return;
+      return this.runBatch(src, batch, directive, { move: move || "Quick Influence" });
+    }
+
+    // 3) Otherwise a single target (the one targeted token only if "prefer current target" is on)
+    const preferTarget = game.settings.get(NS, KEY_PREFER_TGT) === true;
+    const targetToken = batch.length === 1 && preferTarget ? batch[0] : await this._resolveTarget(src, evt);
+    if (!targetToken) return;
+
+    // 4) Which move? (optional)
+    const move = await promptMove(directive);
+    if (move === null) return;
+
+    // 5) Apply
+    await this._applyPair(src.actor, src.token, targetToken.actor, targetToken, directive, { move: move || "Quick Influence" });
+  },
+
+  /**
+   * Every targeted token except the source, one per actor. Two or more always
+   * mean batch mode, whatever "prefer current target" says.
+   */
+  _batchTargets(src) {
+    const seen = new Set([baseActor(src.actor)?.id]);
+    return Array.from(game.user?.targets ?? []).filter(t => {
+      const id = baseActor(t?.actor)?.id;
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  },
+
+  /**
+   * Apply one directive from the source to many targets, then post a single
+   * consolidated chat card. Pairs run one after another so the source's
+   * Influence array is re-read fresh for each write.
+   */
+  async runBatch(src, targetTokens, directive, { move = "Quick Influence" } = {}) {
+    const rows = [];
+    for (const tok of targetTokens) {
+      const res = await this._applyPair(src.actor, src.token, tok.actor, tok, directive, { move, announce: false });
+      if (res) rows.push(res);
+    }
+    const srcName = src.actor.name ?? src.token?.document?.name ?? "A";
+    await announceBatch(srcName, directive, rows);
+    return rows;
+  },
+
+  /**
+   * Target token: the single current target (if preferred), a Shift-click
+   * pick, or the picker dialog. Warns and resolves null if none is chosen.
+   */
+  async _resolveTarget(src, evt) {
     const preferTarget = game.settings.get(NS, KEY_PREFER_TGT) === true;
     const shiftPick    = !!evt?.shiftKey; // force one-click pick this time
 
@@ -262,16 +428,14 @@ const QuickInfluence = {
 
     // If still none, prompt a small picker dialog
     if (!targetToken) {
-      targetToken = await pickTargetViaDialog(src.token?.id ?? null);
+      targetToken = await pickTargetViaDialog(src?.token?.id ?? null);
     }
 
     if (!targetToken?.actor) {
       ui.notifications?.warn?.("No target chosen.");
-      return;
+      return null;
     }
-
-    // 3) Apply
-    await this._applyPair(src.actor, src.token, targetToken.actor, targetToken, directive);
+    return targetToken;
   },
 
   async _resolveSource() {
@@ -297,71 +461,70 @@ const QuickInfluence = {
 
   /**
    * Core apply for a pair with a chosen directive.
-   * Writes to Character sheets only; NPCs don’t store influence arrays.
+   * The source always records its side (NPCs in their own list); the target
+   * side is mirrored only onto Character sheets.
    * Will GM-hop the counterpart write if configured and needed.
+   * @param {{move?: string, announce?: boolean}} [opts] move recorded in the
+   *        Influence log; announce=false leaves the chat card to the caller
+   * @returns {Promise<{tgtName: string, beforeSym: string, afterSym: string}|undefined>}
    */
-  async _applyPair(actorA, tokA, actorB, tokB, directive) {
+  async _applyPair(actorA, tokA, actorB, tokB, directive, { move = "Quick Influence", announce = true } = {}) {
     const useGMRelay = game.settings.get(NS, KEY_USE_GM) === true;
 
-    const aIsChar = actorA.type === "character";
+    // Lists live on world actors (the index never reads unlinked token deltas)
+    actorA = baseActor(actorA);
+    actorB = baseActor(actorB);
     const bIsChar = actorB.type === "character";
-    if (!aIsChar && !bIsChar) {
-      ui.notifications?.warn?.("At least one side must be a Character.");
-      return;
-    }
 
-    const aBefore = aIsChar ? readInfluences(actorA) : null;
+    const aBefore = readInfluences(actorA);
     const bBefore = bIsChar ? readInfluences(actorB) : null;
-    const aAfter  = aBefore ? foundry.utils.deepClone(aBefore) : null;
+    const aAfter  = foundry.utils.deepClone(aBefore);
     const bAfter  = bBefore ? foundry.utils.deepClone(bBefore) : null;
 
     const nameAforB = pickStorageName(actorA, tokA);
     const nameBforA = pickStorageName(actorB, tokB);
 
     // Apply local mutations (mirror on B)
-    let aPrevSym = "—", aNowSym = "—";
-    let bPrevSym = "—", bNowSym = "—";
-
-    if (aIsChar) {
-      const whichA =
-        directive === "gt" ? "gt" :
-        directive === "lt" ? "lt" :
-        directive === "eq" ? "eq" : "reset";
-      const st = mutateSide(aAfter, nameBforA, whichA);
-      if (st.prev) aPrevSym = stateSymbol({ hasInfluenceOver: st.prev.has, haveInfluenceOver: st.prev.have });
-      if (st.now)  aNowSym  = stateSymbol({ hasInfluenceOver: st.now.has,  haveInfluenceOver: st.now.have  });
-    }
+    const whichA =
+      directive === "gt" ? "gt" :
+      directive === "lt" ? "lt" :
+      directive === "eq" ? "eq" : "reset";
+    const st = mutateSide(aAfter, nameBforA, whichA, actorUuid(actorB));
+    const aPrevSym = stateSymbol({ hasInfluenceOver: st.prev.has, haveInfluenceOver: st.prev.have });
+    const aNowSym  = stateSymbol({ hasInfluenceOver: st.now.has,  haveInfluenceOver: st.now.have  });
 
-    if (bIsChar) {
-      let whichB = "reset";
-      if (directive === "gt") whichB = "lt";
-      else if (directive === "lt") whichB = "gt";
-      else if (directive === "eq") whichB = "eq";
-      const st = mutateSide(bAfter, nameAforB, whichB);
-      if (st.prev) bPrevSym = stateSymbol({ hasInfluenceOver: st.prev.has, haveInfluenceOver: st.prev.have });
-      if (st.now)  bNowSym  = stateSymbol({ hasInfluenceOver: st.now.has,  haveInfluenceOver: st.now.have  });
-    }
+    if (bIsChar) mutateSide(bAfter, nameAforB, mirrorDirective(whichA), actorUuid(actorA));
 
     // Attempt writes we’re allowed to do; optionally GM‑relay the rest
     const tasks = [];
-    const gmPayload = { action: "applyPair", srcId: actorA.id, tgtId: actorB.id, directive };
-
-    if (aIsChar) {
-      if (canEditActor(actorA)) {
-        tasks.push(writeInfluencesIfChanged(actorA, aBefore, aAfter));
-      } else if (useGMRelay) {
-        gmPayload.aAfter = aAfter;
-      }
+    const gmPayload = {
+      action: "applyPair",
+      srcId: actorA.id,
+      tgtId: actorB.id,
+      directive: whichA,
+      nameAforB,
+      nameBforA,
+      move,
+      userId: game.user?.id
+    };
+    // The A side carries the log entry; B only mirrors it
+    const aOpts = { masksMove: move };
+    const bOpts = { masksMove: move, masksMirror: true };
+
+    if (canEditActor(actorA)) {
+      tasks.push(writeInfluencesIfChanged(actorA, aBefore, aAfter, aOpts));
+    } else if (useGMRelay) {
+      gmPayload.writeA = true;
     }
     if (bIsChar) {
       if (canEditActor(actorB)) {
-        tasks.push(writeInfluencesIfChanged(actorB, bBefore, bAfter));
+        tasks.push(writeInfluencesIfChanged(actorB, bBefore, bAfter, bOpts));
       } else if (useGMRelay) {
-        gmPayload.bAfter = bAfter;
+        gmPayload.writeB = true;
       }
     }
 
-    if (useGMRelay && ((aIsChar && !canEditActor(actorA)) || (bIsChar && !canEditActor(actorB)))) {
+    if (useGMRelay && (!canEditActor(actorA) || (bIsChar && !canEditActor(actorB)))) {
       requestGMApply(gmPayload);
     }
 
@@ -376,38 +539,54 @@ const QuickInfluence = {
     // Proactively ask helpers to sync (harmless if one side is NPC)
     try { await InfluenceIndex?.syncCharacterPairFlags?.(actorA); } catch (_) { /* no-op */ }
 
-    // Announce (prefer the A line)
-    if (aIsChar) {
+    // Announce from the source's point of view
+    if (announce) {
       const aLabel = actorA.name ?? tokA?.document?.name ?? "A";
       await announceChange(aLabel, nameBforA, aPrevSym, aNowSym);
-    } else if (bIsChar) {
-      const bLabel = actorB.name ?? tokB?.document?.name ?? "B";
-      await announceChange(bLabel, nameAforB, bPrevSym, bNowSym);
     }
+    return { tgtName: nameBforA, beforeSym: aPrevSym, afterSym: aNowSym };
   },
 
+  /** GM: relayed pairs run one at a time so each reads the previous write. */
+  _gmQueue: Promise.resolve(),
+
   /** GM-side socket application for counterpart writes. */
   async _gmApplyFromSocket(data) {
     if (!game.user?.isGM) return;
     if (data?.action !== "applyPair") return;
+    const run = this._gmQueue.then(() => this._gmApplyPair(data));
+    this._gmQueue = run.catch(err => console.error(`[${NS}] GM relay failed`, err));
+    return run;
+  },
 
+  /** Apply a relayed directive to the GM's current copy of each requested side. */
+  async _gmApplyPair(data) {
     const actorA = game.actors?.get(data.srcId);
     const actorB = game.actors?.get(data.tgtId);
     if (!actorA || !actorB) return;
 
-    const aIsChar = actorA.type === "character";
-    const bIsChar = actorB.type === "character";
-
-    const aBefore = aIsChar ? readInfluences(actorA) : null;
-    const bBefore = bIsChar ? readInfluences(actorB) : null;
-    const aAfter  = aIsChar ? (data.aAfter ?? aBefore) : null;
-    const bAfter  = bIsChar ? (data.bAfter ?? bBefore) : null;
+    // Only the source's owner (or a GM) may change its Influence
+    const user = game.users?.get(data.userId);
+    if (!user || !(user.isGM || actorA.testUserPermission(user, "OWNER"))) {
+      console.warn(`[${NS}] Ignored an Influence relay from a user who doesn't own ${actorA.name}`);
+      return;
+    }
 
+    const base = { masksMove: data.move, masksUser: data.userId };
     const tasks = [];
-    if (aIsChar && aAfter) tasks.push(writeInfluencesIfChanged(actorA, aBefore, aAfter));
-    if (bIsChar && bAfter) tasks.push(writeInfluencesIfChanged(actorB, bBefore, bAfter));
-    try { await Promise.all(tasks); }
-    catch (err) { console.error(`[${NS}] GM relay failed`, err); }
+    if (data.writeA) {
+      const before = readInfluences(actorA);
+      const after = foundry.utils.deepClone(before);
+      mutateSide(after, data.nameBforA, data.directive, actorUuid(actorB));
+      tasks.push(writeInfluencesIfChanged(actorA, before, after, base));
+    }
+    if (data.writeB && actorB.type === "character") {
+      const before = readInfluences(actorB);
+      const after = foundry.utils.deepClone(before);
+      mutateSide(after, data.nameAforB, mirrorDirective(data.directive), actorUuid(actorA));
+      tasks.push(writeInfluencesIfChanged(actorB, before, after, { ...base, masksMirror: true }));
+    }
+    await Promise.all(tasks);
   }
 };
 
@@ -480,6 +659,18 @@ Hooks.once("init", () => {
     });
   }
 
+  // Move prompt (client)
+  if (!game.settings.settings.has(`${NS}.${KEY_ASK_MOVE}`)) {
+    game.settings.register(NS, KEY_ASK_MOVE, {
+      name: "Quick Influence: Ask which move",
+      hint: "Prompt for the move behind each Quick Influence change so it shows in the Influence log and session report.",
+      scope: "client",
+      config: true,
+      type: Boolean,
+      default: true
+    });
+  }
+
   // GM relay (world)
   if (!game.settings.settings.has(`${NS}.${KEY_USE_GM}`)) {
     game.settings.register(NS, KEY_USE_GM, {